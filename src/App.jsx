@@ -1,232 +1,770 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { DEFAULTS, ENGINE_VERSION, advance, clamp, createSimulation, puckAt, zoneOf } from "./engine/simulation";
+import { parseSeed } from "./engine/rng";
+import {
+  advanceReplay,
+  createGhost,
+  createRecorder,
+  createReplay,
+  finishRecording,
+  ghostAt,
+  recordConfig,
+  recordFrame,
+  seekReplay,
+} from "./engine/recorder";
+import { applyLiveConfig, pendingResetFields } from "./engine/config";
+import { DEFAULT_LAYOUT, hexToRgba, normalizeLayout } from "./engine/layout";
+import { parseRoster, puckName } from "./engine/roster";
+import { summarizeStats } from "./engine/stats";
+import { describeEvent, pushEvent } from "./engine/events";
+import { roundScore, summarizeScore } from "./engine/score";
+import { restoreSnapshot } from "./engine/snapshot";
+import { MODES, modeStatus } from "./engine/modes";
+import { BOTS, BOT_IDS, botInput, createBot } from "./engine/bots";
+import { MAX_STICKS, STICK_COLORS } from "./engine/sticks";
+import { ARCHETYPES } from "./engine/social";
+import { TOOL_IDS, toolCooldown } from "./engine/tools";
+import { disruptionStatus } from "./engine/disruptions";
+import { lifecycleStatus } from "./engine/lifecycle";
+import { BAND_LABELS, heatmapGrid, zoneOccupancy } from "./engine/heatmap";
+import { bestRunForSeed, loadRuns, saveRun } from "./storage/runs";
+import {
+  deletePreset,
+  isBuiltinPreset,
+  loadLastSettings,
+  loadPresets,
+  presetFromJson,
+  presetToJson,
+  saveLastSettings,
+  savePreset,
+} from "./storage/presets";
+import { activeLayoutName, deleteLayout, loadLayouts, saveLayout, setActiveLayout } from "./storage/layouts";
+import { downloadText, downloadUrl, readFileText } from "./storage/download";
+import { loadRoster, saveRoster } from "./storage/roster";
+import { clearSavedBoard, loadSavedBoard, saveBoard } from "./storage/savedBoard";
+import { heatmapJson, pucksCsv, summaryJson, zonesCsv } from "./storage/sessionExport";
+import {
+  addEntry,
+  bestHoldFor,
+  createProfile,
+  importLeaderboard,
+  leaderboardToJson,
+  loadLeaderboard,
+  selectProfile,
+} from "./storage/leaderboard";
+import Button from "./components/Button";
+import ReplayControls from "./components/ReplayControls";
+import RunsPanel from "./components/RunsPanel";
+import SettingsDrawer from "./components/SettingsDrawer";
+import ZoneEditor from "./components/ZoneEditor";
+import RosterControls from "./components/RosterControls";
+import PuckDetails from "./components/PuckDetails";
+import SessionSummary from "./components/SessionSummary";
+import EventLog from "./components/EventLog";
+import EventTimeline from "./components/EventTimeline";
+import ProfilePicker from "./components/ProfilePicker";
+import Leaderboard from "./components/Leaderboard";
+import ModeStart from "./components/ModeStart";
+import ModeResults from "./components/ModeResults";
+import BenchmarkPanel from "./components/BenchmarkPanel";
+import ToolBar from "./components/ToolBar";
+import DisruptionBanner from "./components/DisruptionBanner";
+import { RENDERERS, createRenderer } from "./render";
+import { createOverlay, heatmapPng } from "./render/overlay";
+import { createControls, keyLabel, pressKey, releaseAll, releaseKey, updateControls } from "./input/controls";
+import { loadBindings, saveBindings } from "./storage/bindings";
+import ControlsPanel from "./components/ControlsPanel";
+import AccessibilityPanel from "./components/AccessibilityPanel";
+import { boardColors } from "./render/palette";
+import { announce, createAnnouncer } from "./a11y/announcer";
+import { loadAccessibility, saveAccessibility } from "./storage/accessibility";
 
 // Puck Herding Board (endless)
 // - Pucks wander with different personalities
 // - Your stick nudges them
 // - Goal is to keep all pucks in the green zone, forever
-// - Negative zones flash red when a puck enters them
-
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-const randBetween = (a, b) => a + Math.random() * (b - a);
-const length = (x, y) => Math.hypot(x, y);
-const normalize = (x, y) => {
-  const m = Math.hypot(x, y) || 1;
-  return { x: x / m, y: y / m };
-};
-const nowMs = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+// - Negative zones flash when a puck enters them (a steady outline with reduced motion)
+// - All game rules live in ./engine/simulation; this component only feeds input and renders
 
-const DEFAULTS = {
-  puckCount: 8,
-  puckRadius: 16,
-  boardW: 880,
-  boardH: 460,
-  targetZoneW: 140,
-
-  // Movement
-  maxSpeed: 140, // px/sec
-  damping: 0.992,
-  wanderStrength: 18, // accel px/sec^2
-  jitterStrength: 34,
-  jitterChancePerSec: 0.42,
-
-  // Goal-zone leak (harder to keep them in)
-  goalLeakStrength: 26,
-
-  // Stick
-  stickRadius: 22,
-  stickPushStrength: 520,
-  stickFriction: 0.92,
-
-  // Collisions
-  wallBounce: 0.92,
-  puckRestitution: 0.9,
-
-  // Alerts
-  alertFlashMs: 450,
-};
-
-function makePucks(cfg) {
-  const padding = 28;
-  const pucks = [];
-  for (let i = 0; i < cfg.puckCount; i++) {
-    pucks.push({
-      id: `p${i}`,
-      x: randBetween(padding, cfg.boardW - cfg.targetZoneW - padding * 1.2),
-      y: randBetween(padding, cfg.boardH - padding),
-      vx: randBetween(-25, 25),
-      vy: randBetween(-25, 25),
-
-      wx: randBetween(-1, 1),
-      wy: randBetween(-1, 1),
-
-      // Personality
-      wanderMult: randBetween(0.6, 1.6),
-      jitterMult: randBetween(0.6, 1.4),
-      speedMult: randBetween(0.7, 1.3),
-      stubbornness: randBetween(0.8, 1.3),
-      leakMult: randBetween(0.7, 1.4),
-
-      hue: Math.round(randBetween(10, 330)),
-    });
-  }
-  return pucks;
+const AUTOSAVE_MS = 5000;
+
+// 83.4 -> "1:23"
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+
+// Header flow figures, already rounded so the header only re-renders when they visibly change
+function flowText(sim) {
+  const f = lifecycleStatus(sim);
+  if (!f) return null;
+  const latency = f.latency == null ? "–" : `${Math.round(f.latency)}s`;
+  return { completed: f.completed, perMin: f.perMin.toFixed(1), latency, backlog: f.backlog };
 }
 
-function resolvePuckPuck(a, b, r, restitution) {
-  const dx = b.x - a.x;
-  const dy = b.y - a.y;
-  const dist = Math.hypot(dx, dy) || 0.0001;
-  const minDist = r * 2;
-  if (dist >= minDist) return;
-
-  const nx = dx / dist;
-  const ny = dy / dist;
-  const overlap = minDist - dist;
-
-  a.x -= nx * overlap * 0.5;
-  a.y -= ny * overlap * 0.5;
-  b.x += nx * overlap * 0.5;
-  b.y += ny * overlap * 0.5;
-
-  const rvx = b.vx - a.vx;
-  const rvy = b.vy - a.vy;
-  const velAlongNormal = rvx * nx + rvy * ny;
-  if (velAlongNormal > 0) return;
-
-  const j = (-(1 + restitution) * velAlongNormal) / 2;
-  const impX = j * nx;
-  const impY = j * ny;
-
-  a.vx -= impX;
-  a.vy -= impY;
-  b.vx += impX;
-  b.vy += impY;
+// Zone occupancy for the heatmap labels, in whole percent
+const occupancyPercent = (sim) =>
+  Object.fromEntries(Object.entries(zoneOccupancy(sim)).map(([id, share]) => [id, Math.round(share * 100)]));
+
+const nowMs = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+// ?seed=1234 (or any text) pins the starting board
+function seedFromUrl() {
+  if (typeof window === "undefined") return null;
+  return parseSeed(new URLSearchParams(window.location.search).get("seed"));
 }
 
-function Button({ children, onClick, kind = "default" }) {
-  const base = {
-    padding: "6px 10px",
-    borderRadius: 8,
-    border: "1px solid rgba(0,0,0,0.18)",
-    fontSize: 13,
-    cursor: "pointer",
-    userSelect: "none",
-  };
+// OS-level "reduce motion" setting, kept live
+function useSystemReducedMotion() {
+  const query = "(prefers-reduced-motion: reduce)";
+  const [reduced, setReduced] = useState(() => typeof window !== "undefined" && !!window.matchMedia?.(query).matches);
+  useEffect(() => {
+    const mq = window.matchMedia?.(query);
+    if (!mq) return;
+    const onChange = () => setReduced(mq.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }, []);
+  return reduced;
+}
 
-  const variants = {
-    default: { background: "#111827", color: "#fff" },
-    secondary: { background: "#e5e7eb", color: "#111827" },
-    outline: { background: "transparent", color: "#111827" },
-  };
+// ?renderer=dom forces the DOM fallback renderer
+function rendererFromUrl() {
+  if (typeof window === "undefined") return "canvas";
+  const kind = new URLSearchParams(window.location.search).get("renderer");
+  return RENDERERS.includes(kind) ? kind : "canvas";
+}
 
-  return (
-    <button onClick={onClick} style={{ ...base, ...(variants[kind] || variants.default) }}>
-      {children}
-    </button>
-  );
+// Keep the address bar in sync so the current board can be shared
+function writeSeedToUrl(seed) {
+  if (typeof window === "undefined") return;
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", String(seed));
+  window.history.replaceState(null, "", url);
 }
 
 export default function PuckHerdingBoard() {
-  const cfg = useMemo(() => ({ ...DEFAULTS }), []);
+  // Settings being edited; live-safe fields reach the running board immediately, the rest on reset
+  const [settingsState, setSettingsState] = useState(() => {
+    const last = loadLastSettings();
+    return last ?? { name: "Standard", cfg: { ...DEFAULTS } };
+  });
+  const settings = settingsState.cfg;
+  const presetName = settingsState.name; // null once the values no longer match a preset
+  const [presets, setPresets] = useState(() => loadPresets());
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settingsMessage, setSettingsMessage] = useState(null);
+  useEffect(() => {
+    saveLastSettings(presetName, settings);
+  }, [presetName, settings]);
+
+  // Board layouts (zones); the active one is used from the next round on
+  const [layouts, setLayouts] = useState(() => loadLayouts());
+  const [layoutName, setLayoutName] = useState(() => activeLayoutName());
+  const layout = layouts[layoutName];
+  const [zoneEditorOpen, setZoneEditorOpen] = useState(false);
+  const [zoneEditorMessage, setZoneEditorMessage] = useState(null);
+
+  // Imported roster (named pucks); applies from the next round
+  const [roster, setRoster] = useState(() => loadRoster());
+  const [rosterMessage, setRosterMessage] = useState(null);
+
+  // Player profiles and the local leaderboard
+  const [leaderboard, setLeaderboard] = useState(() => loadLeaderboard());
+  const [leaderboardOpen, setLeaderboardOpen] = useState(false);
+  const [leaderboardMessage, setLeaderboardMessage] = useState(null);
+
+  // Hover tooltip and details popover
+  const [hover, setHover] = useState(null); // { id, name, x, y } in board coords
+  const selectedIdRef = useRef(null);
+  const [selected, setSelected] = useState(null); // { puck, where } refreshed every frame
+
+  // Event log mirrored from the engine (only re-rendered when something new is logged)
+  const [events, setEvents] = useState([]);
+  const eventSeqRef = useRef(-1);
+  const [roundTime, setRoundTime] = useState(0); // tenths of a second, for the timeline scale
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Post-round summary (the board is paused while it's open)
+  const [roundSummary, setRoundSummary] = useState(null); // { summary, meta }
 
   const containerRef = useRef(null);
   const rafRef = useRef(null);
   const lastTRef = useRef(nowMs());
 
-  const [pucks, setPucks] = useState(() => makePucks(cfg));
-  const pucksRef = useRef(pucks);
+  // Live round: engine state plus its input recorder
+  const simRef = useRef(null);
+  const recorderRef = useRef(null);
+
+  // Game mode for the next round, the start screen and the results of a finished mode round
+  const [mode, setMode] = useState({ id: "endless", options: {} });
+  const [modeStartOpen, setModeStartOpen] = useState(false);
+  const [modeResult, setModeResult] = useState(null); // the finished round's state.mode
+  const [modeText, setModeText] = useState("");
+
+  // Autopilot: a bot drives the stick instead of the pointer; rounds it touched stay off the leaderboard
+  const [botId, setBotId] = useState(null);
+  const botRef = useRef(null);
+  const botPlayedRef = useRef(false);
+  const [benchmarkOpen, setBenchmarkOpen] = useState(false);
+
+  // Local multiplayer: every touch gets its own stick; versus (2-4 players) splits pucks and target lanes
+  const [versus, setVersus] = useState(0);
+  const [versusScores, setVersusScores] = useState(null);
+
+  // Keyboard / gamepad stick control with remappable bindings
+  const [bindings, setBindings] = useState(() => loadBindings());
+  const controlsRef = useRef(null);
+  if (controlsRef.current == null) controlsRef.current = createControls(bindings);
+  const [controlsOpen, setControlsOpen] = useState(false);
+  const actionsRef = useRef({}); // latest handlers for the window key listener and the rAF loop
+
+  // Accessibility: palette, motion and screen-reader announcements (see a11y/announcer.js)
+  const [a11y, setA11y] = useState(() => loadAccessibility());
+  const [a11yOpen, setA11yOpen] = useState(false);
+  const systemReduced = useSystemReducedMotion();
+  const reduceMotion = a11y.motion === "reduce" || (a11y.motion === "system" && systemReduced);
+  const announceRef = useRef(a11y.announce);
+  announceRef.current = a11y.announce;
+  const announcerRef = useRef(null);
+  if (announcerRef.current == null) announcerRef.current = createAnnouncer();
+  const [spoken, setSpoken] = useState({ polite: "", assertive: "" });
+
+  // An autosaved round from the last visit; the fresh board stays paused until the player picks one
+  const [resumeOffer, setResumeOffer] = useState(() => loadSavedBoard());
+  const resumeOfferRef = useRef(resumeOffer);
+  useEffect(() => {
+    resumeOfferRef.current = resumeOffer;
+  }, [resumeOffer]);
+
+  if (simRef.current == null) {
+    simRef.current = createSimulation(settings, { seed: seedFromUrl(), layout, roster });
+    recorderRef.current = createRecorder(simRef.current);
+  }
+  const cfg = simRef.current.cfg; // the board on screen (live round or replay)
+  const [seed, setSeed] = useState(() => simRef.current.seed);
+  const [reuseSeed, setReuseSeed] = useState(false);
   useEffect(() => {
-    pucksRef.current = pucks;
-  }, [pucks]);
+    writeSeedToUrl(seed);
+  }, [seed]);
+  const [inTargetCount, setInTargetCount] = useState(0);
+  const [score, setScore] = useState(0);
 
-  const [running, setRunning] = useState(true);
-  const runningRef = useRef(true);
+  const [running, setRunning] = useState(() => !resumeOffer);
+  const runningRef = useRef(running);
   useEffect(() => {
     runningRef.current = running;
   }, [running]);
 
-  // Stick
+  // Saved runs, replay and ghost
+  const [runs, setRuns] = useState(() => loadRuns());
+  const replayRef = useRef(null); // non-null while watching a replay
+  const [replayView, setReplayView] = useState(null); // { recording, frame }
+  const [replayPlaying, setReplayPlaying] = useState(true);
+  const replayPlayingRef = useRef(true);
+  useEffect(() => {
+    replayPlayingRef.current = replayPlaying;
+  }, [replayPlaying]);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const replaySpeedRef = useRef(1);
+  useEffect(() => {
+    replaySpeedRef.current = replaySpeed;
+  }, [replaySpeed]);
+
+  const [showGhost, setShowGhost] = useState(true);
+  const showGhostRef = useRef(true);
+  useEffect(() => {
+    showGhostRef.current = showGhost;
+  }, [showGhost]);
+  const ghostRef = useRef(null);
+  if (ghostRef.current == null) {
+    const best = runs.best[simRef.current.seed];
+    ghostRef.current = best ? createGhost(best) : false;
+  }
+  const ghostSampleRef = useRef(null); // { x, y, down } | null
+
+  // Moving layer renderer (canvas by default, DOM fallback)
+  const rendererHostRef = useRef(null);
+  const rendererRef = useRef(null);
+  const [rendererKind, setRendererKind] = useState(rendererFromUrl);
+  useEffect(() => {
+    const renderer = createRenderer(rendererKind, rendererHostRef.current);
+    rendererRef.current = renderer;
+    return () => {
+      renderer.destroy();
+      if (rendererRef.current === renderer) rendererRef.current = null;
+    };
+  }, [rendererKind]);
+
+  // Heatmap and trail overlays (see render/overlay.js), drawn under the moving layer
+  const overlayHostRef = useRef(null);
+  const overlayRef = useRef(null);
+  useEffect(() => {
+    const overlay = createOverlay(overlayHostRef.current);
+    overlayRef.current = overlay;
+    return () => overlay?.destroy();
+  }, []);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [trailMode, setTrailMode] = useState("off"); // "off" | "all" | "selected"
+  const overlayModeRef = useRef({ heatmap: false, trails: "off" });
+  useEffect(() => {
+    overlayModeRef.current = { heatmap: showHeatmap, trails: trailMode };
+  }, [showHeatmap, trailMode]);
+  const [occupancy, setOccupancy] = useState(null); // { [zoneId | band]: whole percent } while the heatmap is on
+
+  // Stick input (latest pointer sample, consumed by the engine every frame)
+  // Slot 0 is the mouse / keyboard / bot stick; further touches claim slots 1.. (see sticks.js)
   const stickRef = useRef({
     x: cfg.boardW * 0.15,
     y: cfg.boardH * 0.5,
-    vx: 0,
-    vy: 0,
-    down: false,
-    lastMoveT: nowMs(),
-  });
-  const [stickView, setStickView] = useState({
-    x: stickRef.current.x,
-    y: stickRef.current.y,
     down: false,
   });
+  const extraSticksRef = useRef([]); // slots 1.., created the first time a touch claims one
+  const pointerSlotsRef = useRef(new Map()); // { [pointerId]: slot } for touches and pens that are down
+
+  // Stick tool for every human stick (see engine/tools.js); the autopilot always pushes
+  const [tool, setTool] = useState("push");
+  const toolRef = useRef(tool);
+  toolRef.current = tool;
+  const [toolCooldowns, setToolCooldowns] = useState({}); // { [tool]: seconds left } for slot 0
+  const nextTool = () => setTool((t) => TOOL_IDS[(TOOL_IDS.indexOf(t) + 1) % TOOL_IDS.length]);
+
+  // Disruption banner (what is coming, what is on; see engine/disruptions.js)
+  const [disruption, setDisruption] = useState({ next: null, active: [] });
+  // Throughput, latency and backlog in the header while the puck lifecycle is on (see engine/lifecycle.js)
+  const [flow, setFlow] = useState(null);
 
   // Hold timer
   const [allHeld, setAllHeld] = useState(false);
   const [holdSeconds, setHoldSeconds] = useState(0);
-  const [bestHoldSeconds, setBestHoldSeconds] = useState(0);
-  const holdStartRef = useRef(null);
+  const [bestHoldSeconds, setBestHoldSeconds] = useState(() => bestHoldFor(leaderboard, leaderboard.activeProfileId));
 
   // Zones
-  const targetX = cfg.boardW - cfg.targetZoneW;
-  const improveZoneX = cfg.boardW * 0.65;
-  const negativeEndX = cfg.boardW * 0.35;
-
-  // Green zone (target) labels
-  const GREEN_LABELS = useMemo(
-    () => [
-      "JBO's",
-      "Audits",
-      "CMS's",
-      "Everyone Safe",
-      "Load Balance",
-      "Hours Management",
-    ],
-    []
-  );
+  const {
+    improveZoneX,
+    negativeEndX,
+    negZones: NEG_ZONES,
+    obstacles,
+    targetArea,
+    targetBox,
+    greenLabels: GREEN_LABELS,
+    improve: IMPROVE,
+    target: TARGET,
+  } = simRef.current.zones;
+
+  const colors = boardColors(simRef.current.zones, a11y.palette);
+  const colorsRef = useRef(colors);
+  colorsRef.current = colors;
+
+  // Flash state mirrored from the engine (no spammy setState inside the physics loop)
+  const [zoneAlerts, setZoneAlerts] = useState(() => ({})); // { [zoneText]: true }
 
-  const NEG_ZONES = useMemo(() => {
-    const labels = ["Low morale", "Damages", "Samsara events", "Time theft", "Low production"]; // left-to-right
-    const seg = negativeEndX / labels.length;
-    const mults = [2.2, 2.1, 2.0, 1.9, 1.8];
-    const colors = [
-      "rgba(239,68,68,0.10)",
-      "rgba(239,68,68,0.09)",
-      "rgba(239,68,68,0.085)",
-      "rgba(239,68,68,0.08)",
-      "rgba(239,68,68,0.075)",
-    ];
-
-    return labels.map((text, i) => {
-      const x0 = i * seg;
-      const x1 = (i + 1) * seg;
-      return { text, x0, x1, mult: mults[i], bg: colors[i] };
+  // Save the live round (if it lasted long enough to be worth watching)
+  function finishLiveRun() {
+    const rec = recorderRef.current;
+    if (!rec || replayRef.current || simRef.current.time < 1) return;
+    const sim = simRef.current;
+    setRuns(saveRun(finishRecording(rec, sim)));
+    recorderRef.current = null;
+    clearSavedBoard();
+    if (leaderboard.activeProfileId && !botPlayedRef.current && !sim.versus) {
+      setLeaderboard(
+        addEntry({
+          holdSeconds: sim.bestHoldSeconds,
+          score: roundScore(sim),
+          seed: sim.seed,
+          preset: presetName ?? "Custom",
+          layout: sim.layout.name,
+          mode: MODES[sim.mode.id].label,
+          duration: sim.time,
+        }),
+      );
+    }
+  }
+
+  function changeProfile(id) {
+    finishLiveRun(); // the round so far belongs to whoever was playing it
+    const data = selectProfile(id);
+    setLeaderboard(data);
+    setBestHoldSeconds(bestHoldFor(data, data.activeProfileId));
+    startLiveRound(reuseSeed ? seed : null);
+  }
+
+  function addProfile(name) {
+    finishLiveRun();
+    try {
+      const data = createProfile(name);
+      setLeaderboard(data);
+      setBestHoldSeconds(bestHoldFor(data, data.activeProfileId));
+    } catch (err) {
+      setLeaderboardMessage(err.message);
+    }
+    startLiveRound(reuseSeed ? seed : null);
+  }
+
+  function exportLeaderboard() {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`leaderboard-${stamp}.json`, leaderboardToJson(leaderboard));
+  }
+
+  async function mergeLeaderboard(file) {
+    try {
+      const { data, added } = importLeaderboard(await readFileText(file));
+      setLeaderboard(data);
+      setBestHoldSeconds((best) => Math.max(best, bestHoldFor(data, data.activeProfileId)));
+      setLeaderboardMessage(`Merged ${added} new round${added === 1 ? "" : "s"} from ${file.name}.`);
+    } catch (err) {
+      setLeaderboardMessage(err.message);
+    }
+  }
+
+  function endRound() {
+    const sim = simRef.current;
+    clearSavedBoard();
+    setRoundSummary({
+      summary: {
+        ...summarizeStats(sim, puckName),
+        score: summarizeScore(sim),
+        versus: sim.versus ? structuredClone(sim.versus) : null,
+      },
+      meta: {
+        seed: sim.seed,
+        preset: presetName ?? "Custom",
+        layout: sim.layout.name,
+        bestHoldSeconds: sim.bestHoldSeconds,
+        endedAt: new Date().toISOString(),
+      },
     });
-  }, [negativeEndX]);
+    finishLiveRun();
+    setRunning(false);
+  }
 
-  // Flash logic (no spammy setState inside the physics loop)
-  const [zoneAlerts, setZoneAlerts] = useState(() => ({})); // { [zoneText]: true }
-  const alertUntilRef = useRef({}); // { [zoneText]: timestamp }
-  const lastZoneByPuckRef = useRef({}); // { [puckId]: zoneText | null }
+  function closeSummary() {
+    setRoundSummary(null);
+    setRunning(true);
+    startLiveRound(reuseSeed ? seed : null);
+  }
 
-  function reset() {
-    setAllHeld(false);
-    setHoldSeconds(0);
-    holdStartRef.current = null;
+  function exportSummary(kind) {
+    if (!roundSummary) return;
+    const { summary, meta } = roundSummary;
+    const stamp = meta.endedAt.slice(0, 16).replace(/[:T]/g, "-");
+    if (kind === "pucks") downloadText(`round-${stamp}-pucks.csv`, pucksCsv(summary), "text/csv");
+    else if (kind === "zones") downloadText(`round-${stamp}-zones.csv`, zonesCsv(summary), "text/csv");
+    else downloadText(`round-${stamp}.json`, summaryJson(summary, meta));
+  }
+
+  function exportHeatmap(kind) {
+    const sim = simRef.current;
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+    const preset = presetName ?? "Custom";
+    const name = `heatmap-${preset.replace(/[^\w-]+/g, "-").toLowerCase()}-${stamp}`;
+    if (kind === "png") downloadUrl(`${name}.png`, heatmapPng(sim));
+    else
+      downloadText(`${name}.json`, heatmapJson(heatmapGrid(sim), { seed: sim.seed, preset, layout: sim.layout.name }));
+  }
 
-    alertUntilRef.current = {};
-    lastZoneByPuckRef.current = {};
+  // Put a live round on screen (fresh or resumed) and sync the header to it
+  function adoptLiveRound(sim, recorder) {
+    simRef.current = sim;
+    recorderRef.current = recorder;
+    setAllHeld(sim.allHeld);
+    setHoldSeconds(sim.holdSeconds);
+    setInTargetCount(sim.inTargetCount);
+    setScore(roundScore(sim));
+    setRoundTime(Math.floor(sim.time * 10) / 10);
+    setModeText(modeStatus(sim));
+    setDisruption(disruptionStatus(sim));
+    setFlow(flowText(sim));
+    setVersusScores(sim.versus ? sim.versus.scores.map(Math.round) : null);
     setZoneAlerts({});
 
-    setPucks(makePucks(cfg));
-    stickRef.current = {
-      x: cfg.boardW * 0.15,
-      y: cfg.boardH * 0.5,
-      vx: 0,
-      vy: 0,
-      down: false,
-      lastMoveT: nowMs(),
-    };
-    setStickView({ x: stickRef.current.x, y: stickRef.current.y, down: false });
+    selectPuck(null);
+    eventSeqRef.current = sim.events.seq;
+    setEvents(sim.events.entries.slice());
+    const best = bestRunForSeed(sim.seed);
+    ghostRef.current = best ? createGhost(best) : false;
+    ghostSampleRef.current = null;
+    setSeed(sim.seed);
+  }
+
+  function startLiveRound(nextSeed, nextLayout = layout, nextRoster = roster, nextMode = mode, nextVersus = versus) {
+    clearSavedBoard();
+    const sim = createSimulation(settings, {
+      seed: nextSeed,
+      layout: nextLayout,
+      roster: nextRoster,
+      mode: nextMode,
+      versus: nextVersus,
+    });
+    adoptLiveRound(sim, createRecorder(sim));
+    if (botRef.current) botRef.current = createBot(botRef.current.id);
+    botPlayedRef.current = !!botRef.current;
+    adoptSticks(sim);
+  }
+
+  // Pointer-side sticks start where the engine's are, lifted
+  function adoptSticks(sim) {
+    const [first, ...rest] = sim.sticks.map((s) => ({ x: s.x, y: s.y, down: false }));
+    stickRef.current = first;
+    extraSticksRef.current = rest;
+    pointerSlotsRef.current.clear();
+  }
+
+  function changeVersus(players) {
+    setVersus(players);
+    finishLiveRun();
+    replayRef.current = null;
+    setReplayView(null);
+    startLiveRound(reuseSeed ? seed : null, layout, roster, mode, players);
+  }
+
+  function startMode(next) {
+    setMode(next);
+    setModeStartOpen(false);
+    setModeResult(null);
+    finishLiveRun();
+    replayRef.current = null;
+    setReplayView(null);
+    startLiveRound(reuseSeed ? seed : null, layout, roster, next);
+    setRunning(true);
+  }
+
+  // The round already went to runs/leaderboard when it ended (see the modeResult effect)
+  function playModeAgain() {
+    setModeResult(null);
+    startLiveRound(reuseSeed ? seed : null);
+    setRunning(true);
+  }
+
+  // Closing the picker after a finished mode round (already saved) leaves a fresh round, not the finished one
+  function closeModeStart() {
+    setModeStartOpen(false);
+    if (!replayRef.current && simRef.current.mode.status !== "playing") startLiveRound(reuseSeed ? seed : null);
+  }
+
+  function showModeDetails() {
+    setModeResult(null);
+    endRound();
+  }
+
+  function changeBot(id) {
+    botRef.current = id ? createBot(id) : null;
+    setBotId(id);
+    if (id) botPlayedRef.current = true;
+    else stickRef.current.down = false;
+  }
+
+  // From the benchmark: replay a seed live with that bot at the wheel
+  function watchBot(id, botSeed) {
+    setBenchmarkOpen(false);
+    finishLiveRun();
+    replayRef.current = null;
+    setReplayView(null);
+    changeBot(id);
+    startLiveRound(botSeed);
+    setRunning(true);
+  }
+
+  function resumeSavedBoard() {
+    const saved = resumeOffer;
+    setResumeOffer(null);
+    try {
+      const sim = restoreSnapshot(saved);
+      // A recording from an older engine would not replay; record the rest of the round from here instead
+      const recorder = saved.recorder && saved.engineVersion === ENGINE_VERSION ? saved.recorder : createRecorder(sim);
+      adoptLiveRound(sim, recorder);
+      adoptSticks(sim);
+      stickRef.current = { ...stickRef.current, ...saved.input, down: false };
+      setVersus(sim.versus?.players ?? 0);
+      setRunning(saved.running !== false);
+    } catch {
+      clearSavedBoard();
+      setRunning(true);
+    }
+  }
+
+  function discardSavedBoard() {
+    setResumeOffer(null);
+    clearSavedBoard();
+    setRunning(true);
+  }
+
+  function reset() {
+    // Logged in the round being reset, before it is saved
+    if (!replayRef.current) pushEvent(simRef.current, "reset");
+    finishLiveRun();
+    // Reset from a replay goes back to a live round, like leaving the replay does
+    replayRef.current = null;
+    setReplayView(null);
+    startLiveRound(reuseSeed ? seed : null);
+  }
+
+  function togglePause() {
+    // A finished mode round stays finished: Play again or Change mode start the next one
+    if (!replayRef.current && simRef.current.mode.status !== "playing") return;
+    if (!replayRef.current) pushEvent(simRef.current, running ? "pause" : "resume");
+    setRunning((r) => !r);
+  }
+
+  function confirmReset() {
+    if (window.confirm("Reset the board? This round ends here.")) reset();
+  }
+
+  function changeAccessibility(next) {
+    setA11y(next);
+    saveAccessibility(next);
+    if (!next.announce) setSpoken({ polite: "", assertive: "" });
+  }
+
+  function changeBindings(next) {
+    setBindings(next);
+    saveBindings(next);
+    controlsRef.current.bindings = next;
+    releaseAll(controlsRef.current);
+  }
+
+  function watchRun(recording) {
+    finishLiveRun();
+    replayRef.current = createReplay(recording);
+    simRef.current = replayRef.current.state;
+    setReplayView({ recording, frame: 0 });
+    setReplayPlaying(true);
+    eventSeqRef.current = -1;
+    setEvents([]);
+    ghostSampleRef.current = null;
+  }
+
+  function seekReplayTo(frame) {
+    const replay = replayRef.current;
+    if (!replay) return;
+    seekReplay(replay, frame);
+    simRef.current = replay.state;
+    setReplayView({ recording: replay.recording, frame: replay.frame });
+    setInTargetCount(replay.state.inTargetCount);
+    setScore(roundScore(replay.state));
+    eventSeqRef.current = replay.state.events.seq;
+    setEvents(replay.state.events.entries.slice());
+    setRoundTime(replay.state.time);
+  }
+
+  function toggleReplayPlay() {
+    const replay = replayRef.current;
+    if (!replay) return;
+    if (!replayPlaying && replay.frame >= replay.recording.frames.length) seekReplayTo(0);
+    setReplayPlaying((p) => !p);
+  }
+
+  function exitReplay() {
+    replayRef.current = null;
+    setReplayView(null);
+    startLiveRound(seed);
+  }
+
+  function changeSettings(nextCfg, name = null) {
+    setSettingsState({ name, cfg: nextCfg });
+    setSettingsMessage(null);
+    if (!replayRef.current) {
+      applyLiveConfig(simRef.current, nextCfg);
+      if (recorderRef.current) recordConfig(recorderRef.current, simRef.current.cfg);
+    }
+  }
+
+  function selectPreset(name) {
+    const preset = presets[name];
+    if (preset) changeSettings({ ...preset }, name);
+  }
+
+  function saveSettingsAsPreset(name) {
+    if (isBuiltinPreset(name)) {
+      setSettingsMessage(`"${name}" is built in; pick another name.`);
+      return;
+    }
+    setPresets(savePreset(name, settings));
+    setSettingsState({ name, cfg: settings });
+    setSettingsMessage(`Saved "${name}".`);
+  }
+
+  function removePreset(name) {
+    setPresets(deletePreset(name));
+    setSettingsState({ name: null, cfg: settings });
+    setSettingsMessage(`Deleted "${name}".`);
+  }
+
+  function exportSettings() {
+    const name = presetName ?? "Custom";
+    downloadText(`${name.replace(/[^\w-]+/g, "_")}.preset.json`, presetToJson(name, settings));
+  }
+
+  async function importSettings(file) {
+    try {
+      const imported = presetFromJson(await readFileText(file));
+      const name = isBuiltinPreset(imported.name) ? `${imported.name} (imported)` : imported.name;
+      setPresets(savePreset(name, imported.cfg));
+      changeSettings(imported.cfg, name);
+      const skipped = Object.keys(imported.errors);
+      setSettingsMessage(
+        skipped.length ? `Imported "${name}"; kept defaults for ${skipped.join(", ")}.` : `Imported "${name}".`,
+      );
+    } catch (err) {
+      setSettingsMessage(`Import failed: ${err.message}`);
+    }
+  }
+
+  function applyLayout(next) {
+    try {
+      const isDefault = next.name === DEFAULT_LAYOUT.name;
+      if (isDefault && JSON.stringify(next) !== JSON.stringify(normalizeLayout(DEFAULT_LAYOUT))) {
+        setZoneEditorMessage(`"${DEFAULT_LAYOUT.name}" is built in; give your changes a new name.`);
+        return;
+      }
+      const nextLayouts = isDefault ? layouts : saveLayout(next);
+      setLayouts(nextLayouts);
+      setLayoutName(next.name);
+      setActiveLayout(next.name);
+      setZoneEditorMessage(`Applied "${next.name}".`);
+      finishLiveRun();
+      replayRef.current = null;
+      setReplayView(null);
+      startLiveRound(reuseSeed ? seed : null, nextLayouts[next.name]);
+    } catch (err) {
+      setZoneEditorMessage(err.message);
+    }
+  }
+
+  function removeLayout(name) {
+    const nextLayouts = deleteLayout(name);
+    setLayouts(nextLayouts);
+    if (layoutName === name) setLayoutName(activeLayoutName());
+    setZoneEditorMessage(`Deleted "${name}".`);
+  }
+
+  async function importRoster(file) {
+    try {
+      const { roster: next, skipped } = parseRoster(await readFileText(file), file.name);
+      setRoster(next);
+      saveRoster(next);
+      setRosterMessage(
+        `Loaded ${next.length} names${skipped ? `, skipped ${skipped} rows` : ""}. Applies from the next round.`,
+      );
+    } catch (err) {
+      setRosterMessage(`Import failed: ${err.message}`);
+    }
+  }
+
+  function clearRoster() {
+    setRoster(null);
+    saveRoster(null);
+    setRosterMessage("Cleared. Applies from the next round.");
+  }
+
+  function selectPuck(id) {
+    selectedIdRef.current = id;
+    setSelectedId(id);
+    if (!id) setSelected(null);
+  }
+
+  function onBoardDoubleClick(e) {
+    const pt = toLocalPoint(e.clientX, e.clientY);
+    const p = puckAt(simRef.current, pt.x, pt.y);
+    selectPuck(p ? p.id : null);
   }
 
   function toLocalPoint(clientX, clientY) {
@@ -238,192 +776,204 @@ export default function PuckHerdingBoard() {
     return { x, y };
   }
 
+  // The mouse always drives slot 0; a touch or pen keeps the lowest slot that was free when it went down
+  function pointerSlot(e, claim) {
+    if (e.pointerType === "mouse") return 0;
+    const slots = pointerSlotsRef.current;
+    if (slots.has(e.pointerId) || !claim) return slots.get(e.pointerId) ?? null;
+    const taken = new Set(slots.values());
+    const limit = simRef.current.versus?.players ?? MAX_STICKS;
+    for (let slot = 0; slot < limit; slot++) {
+      if (taken.has(slot)) continue;
+      slots.set(e.pointerId, slot);
+      return slot;
+    }
+    return null; // every stick is in someone's hand
+  }
+
+  function stickAt(slot, pt) {
+    if (slot === 0) return stickRef.current;
+    const extra = extraSticksRef.current;
+    while (extra.length < slot) extra.push({ x: pt.x, y: pt.y, down: false });
+    return extra[slot - 1];
+  }
+
   function onPointerDown(e) {
     e.preventDefault();
+    if (replayRef.current || botRef.current) return;
+    const slot = pointerSlot(e, true);
+    if (slot == null) return;
     const pt = toLocalPoint(e.clientX, e.clientY);
-    const s = stickRef.current;
+    const s = stickAt(slot, pt);
     s.down = true;
     s.x = pt.x;
     s.y = pt.y;
-    s.vx = 0;
-    s.vy = 0;
-    s.lastMoveT = nowMs();
-    setStickView({ x: s.x, y: s.y, down: true });
   }
 
   function onPointerMove(e) {
-    const s = stickRef.current;
     const pt = toLocalPoint(e.clientX, e.clientY);
-    const t = nowMs();
-    const dt = Math.max(0.001, (t - s.lastMoveT) / 1000);
-
-    const vx = (pt.x - s.x) / dt;
-    const vy = (pt.y - s.y) / dt;
+    const under = stickRef.current.down ? null : puckAt(simRef.current, pt.x, pt.y);
+    setHover(
+      under
+        ? {
+            id: under.id,
+            name: puckName(under),
+            category: under.category,
+            role: under.leader ? "Leader" : ARCHETYPES[under.archetype]?.label,
+            x: pt.x,
+            y: pt.y,
+          }
+        : null,
+    );
 
+    if (replayRef.current || botRef.current) return;
+    const slot = pointerSlot(e, false);
+    if (slot == null) return;
+    const s = stickAt(slot, pt);
     s.x = pt.x;
     s.y = pt.y;
-    s.vx = clamp(vx, -cfg.maxSpeed * 3, cfg.maxSpeed * 3);
-    s.vy = clamp(vy, -cfg.maxSpeed * 3, cfg.maxSpeed * 3);
-    s.lastMoveT = t;
-
-    if (s.down) setStickView({ x: s.x, y: s.y, down: true });
   }
 
-  function onPointerUp() {
-    const s = stickRef.current;
-    s.down = false;
-    setStickView({ x: s.x, y: s.y, down: false });
+  function onPointerUp(e) {
+    if (e.type === "pointerleave") setHover(null);
+    if (replayRef.current || botRef.current) return;
+    const slot = pointerSlot(e, false);
+    pointerSlotsRef.current.delete(e.pointerId);
+    if (slot != null) stickAt(slot, toLocalPoint(e.clientX, e.clientY)).down = false;
   }
 
   useEffect(() => {
-    const tick = () => {
-      const t = nowMs();
-      const dt = clamp((t - lastTRef.current) / 1000, 0, 0.04);
-      lastTRef.current = t;
-
-      if (!runningRef.current) {
-        rafRef.current = requestAnimationFrame(tick);
-        return;
+    // Header stats and alerts go through React (they bail out when unchanged); pucks go to the renderer
+    const publish = (sim) => {
+      setHoldSeconds(sim.holdSeconds);
+      setAllHeld(sim.allHeld);
+      setInTargetCount(sim.inTargetCount);
+      setScore(roundScore(sim));
+      setRoundTime(Math.floor(sim.time * 10) / 10);
+      setModeText(modeStatus(sim));
+      const status = disruptionStatus(sim);
+      setDisruption((prev) => (JSON.stringify(prev) === JSON.stringify(status) ? prev : status));
+      const nextFlow = flowText(sim);
+      setFlow((prev) => (JSON.stringify(prev) === JSON.stringify(nextFlow) ? prev : nextFlow));
+      const shares = overlayModeRef.current.heatmap ? occupancyPercent(sim) : null;
+      setOccupancy((prev) => (JSON.stringify(prev) === JSON.stringify(shares) ? prev : shares));
+      setToolCooldowns((prev) => {
+        const next = Object.fromEntries(
+          TOOL_IDS.map((id) => [id, Math.ceil(toolCooldown(sim, sim.sticks[0], id) * 10) / 10]),
+        );
+        return TOOL_IDS.every((id) => prev[id] === next[id]) ? prev : next;
+      });
+      setVersusScores((prev) => {
+        if (!sim.versus) return null;
+        const next = sim.versus.scores.map(Math.round);
+        return prev && prev.every((v, i) => v === next[i]) ? prev : next;
+      });
+      if (sim.events.seq !== eventSeqRef.current) {
+        eventSeqRef.current = sim.events.seq;
+        setEvents(sim.events.entries.slice());
       }
 
-      const s = stickRef.current;
-      const next = pucksRef.current.map((p) => ({ ...p }));
-
-      // Physics
-      for (const p of next) {
-        // Which negative zone (if any)?
-        const neg = NEG_ZONES.find((z) => p.x >= z.x0 && p.x < z.x1);
-        const prevZone = lastZoneByPuckRef.current[p.id] ?? null;
-        const currentZone = neg ? neg.text : null;
-
-        // Flash when a puck ENTERS a zone
-        if (currentZone && currentZone !== prevZone) {
-          alertUntilRef.current[currentZone] = t + cfg.alertFlashMs;
-        }
-        lastZoneByPuckRef.current[p.id] = currentZone;
-
-        // Zone multiplier
-        let zoneMult = 1;
-        if (neg) zoneMult = neg.mult;
-        else if (p.x < improveZoneX) zoneMult = 1.25;
-        else zoneMult = 0.95;
-
-        // Wander
-        p.wx = clamp(p.wx + randBetween(-0.12, 0.12) * dt, -1, 1);
-        p.wy = clamp(p.wy + randBetween(-0.12, 0.12) * dt, -1, 1);
-        const w = normalize(p.wx, p.wy);
-        const wanderForce = cfg.wanderStrength * p.wanderMult * zoneMult;
-        p.vx += w.x * wanderForce * dt;
-        p.vy += w.y * wanderForce * dt;
-
-        // Goal leak
-        if (p.x > targetX) {
-          const depth = clamp((p.x - targetX) / cfg.targetZoneW, 0, 1);
-          p.vx -= cfg.goalLeakStrength * p.leakMult * (0.35 + 0.65 * depth) * dt;
-        }
-
-        // Jitter
-        if (Math.random() < cfg.jitterChancePerSec * p.jitterMult * zoneMult * dt) {
-          const j = normalize(randBetween(-1, 1), randBetween(-1, 1));
-          p.vx += j.x * cfg.jitterStrength * p.jitterMult;
-          p.vy += j.y * cfg.jitterStrength * p.jitterMult;
-        }
-
-        // Stick push
-        if (s.down) {
-          const dx = p.x - s.x;
-          const dy = p.y - s.y;
-          const d = length(dx, dy);
-          const reach = cfg.puckRadius + cfg.stickRadius + 6;
-          if (d < reach) {
-            const n = normalize(dx, dy);
-            const closeness = 1 - d / reach;
-            const impulse = (cfg.stickPushStrength * closeness) / p.stubbornness;
-            p.vx += n.x * impulse * dt + s.vx * 0.08;
-            p.vy += n.y * impulse * dt + s.vy * 0.08;
-          }
+      if (announceRef.current) {
+        const said = announce(announcerRef.current, sim, nowMs() / 1000, puckName);
+        if (said.polite || said.assertive) {
+          setSpoken((prev) => ({ polite: said.polite || prev.polite, assertive: said.assertive || prev.assertive }));
         }
+      }
 
-        // Cap speed
-        const maxSp = cfg.maxSpeed * p.speedMult;
-        const sp = Math.hypot(p.vx, p.vy);
-        if (sp > maxSp) {
-          p.vx = (p.vx / sp) * maxSp;
-          p.vy = (p.vy / sp) * maxSp;
-        }
+      const active = sim.activeAlerts;
+      setZoneAlerts((prev) => {
+        const prevKeys = Object.keys(prev);
+        const nextKeys = Object.keys(active);
+        if (prevKeys.length === nextKeys.length && prevKeys.every((k) => active[k])) return prev;
+        return active;
+      });
+    };
 
-        // Integrate
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
+    const draw = () => {
+      const renderer = rendererRef.current;
+      if (!renderer) return;
+      const replay = replayRef.current;
+      overlayRef.current?.draw({
+        state: simRef.current,
+        ...overlayModeRef.current,
+        highlightId: selectedIdRef.current,
+      });
+      renderer.draw({
+        state: simRef.current,
+        sticks: replay ? replay.state.sticks : [stickRef.current, ...extraSticksRef.current],
+        ghost: replay ? null : ghostSampleRef.current,
+        highlightId: selectedIdRef.current,
+        colors: colorsRef.current,
+      });
+    };
 
-        // Damping
-        p.vx *= cfg.damping;
-        p.vy *= cfg.damping;
+    // Details popover follows its puck
+    const publishSelected = () => {
+      const id = selectedIdRef.current;
+      if (!id) return;
+      const sim = simRef.current;
+      const p = sim.pucks.find((q) => q.id === id);
+      setSelected(p ? { puck: { ...p }, where: zoneOf(sim, p) } : null);
+    };
 
-        // Walls
-        const r = cfg.puckRadius;
-        if (p.x < r) {
-          p.x = r;
-          p.vx = Math.abs(p.vx) * cfg.wallBounce;
-        }
-        if (p.x > cfg.boardW - r) {
-          p.x = cfg.boardW - r;
-          p.vx = -Math.abs(p.vx) * cfg.wallBounce;
-        }
-        if (p.y < r) {
-          p.y = r;
-          p.vy = Math.abs(p.vy) * cfg.wallBounce;
-        }
-        if (p.y > cfg.boardH - r) {
-          p.y = cfg.boardH - r;
-          p.vy = -Math.abs(p.vy) * cfg.wallBounce;
-        }
-      }
+    const tick = () => {
+      const t = nowMs();
+      const dt = clamp((t - lastTRef.current) / 1000, 0, 0.25);
+      lastTRef.current = t;
 
-      // Collisions
-      for (let i = 0; i < next.length; i++) {
-        for (let j = i + 1; j < next.length; j++) {
-          resolvePuckPuck(next[i], next[j], cfg.puckRadius, cfg.puckRestitution);
+      const replay = replayRef.current;
+      if (replay) {
+        if (replayPlayingRef.current) {
+          const more = advanceReplay(replay, dt * replaySpeedRef.current);
+          if (!more) setReplayPlaying(false);
+          simRef.current = replay.state;
+          setReplayView({ recording: replay.recording, frame: replay.frame });
+          publish(replay.state);
+          publishSelected();
         }
+        draw();
+        rafRef.current = requestAnimationFrame(tick);
+        return;
       }
 
-      // Stick friction
-      s.vx *= cfg.stickFriction;
-      s.vy *= cfg.stickFriction;
-
-      // Hold tracking
-      const allInTarget = next.every((p) => p.x >= targetX + cfg.puckRadius * 0.4);
-      if (allInTarget) {
-        if (holdStartRef.current == null) holdStartRef.current = t;
-        const secs = (t - holdStartRef.current) / 1000;
-        setHoldSeconds(secs);
-        setBestHoldSeconds((best) => Math.max(best, secs));
-        setAllHeld(true);
-      } else {
-        holdStartRef.current = null;
-        setHoldSeconds(0);
-        setAllHeld(false);
+      const controls = updateControls(
+        controlsRef.current,
+        stickRef.current,
+        dt,
+        simRef.current.cfg,
+        runningRef.current && !botRef.current,
+      );
+      if (controls.pause) actionsRef.current.togglePause();
+      if (controls.tool) actionsRef.current.nextTool();
+
+      // A finished mode round is never stepped again, even if something sets it running
+      const sim = simRef.current;
+      if (!runningRef.current || sim.mode.status !== "playing") {
+        draw();
+        rafRef.current = requestAnimationFrame(tick);
+        return;
       }
 
-      // Compute active alerts for this frame
-      const active = {};
-      const until = alertUntilRef.current;
-      for (const k of Object.keys(until)) {
-        if (until[k] > t) active[k] = true;
-      }
-      // Drop expired
-      for (const k of Object.keys(until)) {
-        if (until[k] <= t) delete until[k];
+      if (botRef.current) stickRef.current = botInput(botRef.current, sim, dt);
+      // A lone stick is sent as one input so single-player recordings stay as they were
+      const extra = extraSticksRef.current;
+      const first = botRef.current ? { ...stickRef.current } : { ...stickRef.current, tool: toolRef.current };
+      const input = extra.length ? [first, ...extra.map((s) => ({ ...s, tool: toolRef.current }))] : first;
+      if (recorderRef.current) recordFrame(recorderRef.current, input, dt);
+      advance(sim, input, dt);
+      if (!botPlayedRef.current) setBestHoldSeconds((best) => Math.max(best, sim.holdSeconds));
+      if (sim.mode.status !== "playing") {
+        runningRef.current = false;
+        setRunning(false);
+        setModeResult(structuredClone(sim.mode));
       }
 
-      setZoneAlerts((prev) => {
-        const prevKeys = Object.keys(prev);
-        const nextKeys = Object.keys(active);
-        if (prevKeys.length === nextKeys.length && prevKeys.every((k) => active[k])) return prev;
-        return active;
-      });
+      const ghost = ghostRef.current;
+      ghostSampleRef.current = ghost && showGhostRef.current ? ghostAt(ghost, sim.time) : null;
 
-      setPucks(next);
+      publish(sim);
+      publishSelected();
+      draw();
       rafRef.current = requestAnimationFrame(tick);
     };
 
@@ -431,12 +981,58 @@ export default function PuckHerdingBoard() {
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [cfg, NEG_ZONES, improveZoneX, targetX]);
+  }, []);
 
-  const inTargetCount = useMemo(() => {
-    const r = cfg.puckRadius;
-    return pucks.filter((p) => p.x >= targetX + r * 0.4).length;
-  }, [pucks, cfg.puckRadius, targetX]);
+  // Keyboard: bound keys move / engage the stick; pause, reset and tool switching fire once per press
+  actionsRef.current = { togglePause, confirmReset, nextTool };
+  useEffect(() => {
+    const typing = (e) => e.target instanceof HTMLElement && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName);
+    const onKeyDown = (e) => {
+      if (typing(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+      const action = pressKey(controlsRef.current, e.code);
+      if (!action) return;
+      e.preventDefault();
+      if (e.repeat || replayRef.current) return;
+      if (action === "pause") actionsRef.current.togglePause();
+      if (action === "reset") actionsRef.current.confirmReset();
+      if (action === "tool") actionsRef.current.nextTool();
+    };
+    const onKeyUp = (e) => {
+      if (releaseKey(controlsRef.current, e.code)) e.preventDefault();
+    };
+    const onBlur = () => releaseAll(controlsRef.current);
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, []);
+
+  // A mode round that hit its win/lose condition is over: save it like any finished round
+  useEffect(() => {
+    if (modeResult) finishLiveRun();
+  }, [modeResult]);
+
+  // Autosave the live round so a reload can pick it up again
+  useEffect(() => {
+    const save = () => {
+      const sim = simRef.current;
+      if (replayRef.current || !recorderRef.current || resumeOfferRef.current || sim.time < 1) return;
+      saveBoard(sim, { running: runningRef.current, input: { ...stickRef.current }, recorder: recorderRef.current });
+    };
+    const id = setInterval(save, AUTOSAVE_MS);
+    window.addEventListener("pagehide", save);
+    return () => {
+      clearInterval(id);
+      window.removeEventListener("pagehide", save);
+    };
+  }, []);
+
+  const keyHint = (action) => bindings.keys[action].map(keyLabel).join("/") || "(unbound)";
+  const describe = (e) => describeEvent(simRef.current, e, puckName);
 
   // Styles
   const page = {
@@ -474,8 +1070,60 @@ export default function PuckHerdingBoard() {
     border: "1px solid rgba(0,0,0,0.12)",
   };
 
+  // Absolute position of a board-pixel box ({ x0, y0, x1, y1 }) in percent, so it scales with the board
+  const boxStyle = (b) => ({
+    position: "absolute",
+    left: `${(b.x0 / cfg.boardW) * 100}%`,
+    top: `${(b.y0 / cfg.boardH) * 100}%`,
+    width: `${((b.x1 - b.x0) / cfg.boardW) * 100}%`,
+    height: `${((b.y1 - b.y0) / cfg.boardH) * 100}%`,
+  });
+
+  const negZoneBackground = (z) => {
+    const flashing = !!zoneAlerts[z.id];
+    const glow = flashing && !reduceMotion;
+    return (
+      <div
+        key={z.id}
+        style={{
+          ...boxStyle(z),
+          borderRadius: z.shape?.kind === "circle" ? "50%" : 0,
+          background: glow ? hexToRgba(z.color, 0.33) : z.bg,
+          boxShadow: glow ? `inset 0 0 32px ${hexToRgba(z.color, 0.65)}` : "none",
+          outline:
+            flashing && (reduceMotion || colors.high)
+              ? `3px dashed ${colors.high ? "#ffffff" : z.color}`
+              : z.grown // growing for a disruption
+                ? `2px dashed ${hexToRgba(z.color, 0.8)}`
+                : "none",
+          outlineOffset: -3,
+          transition: reduceMotion ? "none" : "background 120ms linear, box-shadow 120ms linear",
+        }}
+      />
+    );
+  };
+
+  // Screen-reader only: off screen but still read
+  const srOnly = {
+    position: "absolute",
+    width: 1,
+    height: 1,
+    margin: -1,
+    padding: 0,
+    overflow: "hidden",
+    clip: "rect(0 0 0 0)",
+    whiteSpace: "nowrap",
+    border: 0,
+  };
+
   return (
     <div style={page}>
+      <div role="status" aria-live="polite" style={srOnly}>
+        {spoken.polite}
+      </div>
+      <div role="alert" aria-live="assertive" style={srOnly}>
+        {spoken.assertive}
+      </div>
       <div style={card}>
         <div style={headerRow}>
           <div>
@@ -487,292 +1135,638 @@ export default function PuckHerdingBoard() {
 
           <div style={statsRow}>
             <div style={{ fontSize: 13 }}>
-              In zone: <span style={{ fontWeight: 800 }}>{inTargetCount}</span>/{cfg.puckCount}
+              In zone: <span style={{ fontWeight: 800 }}>{inTargetCount}</span>/{simRef.current.pucks.length}
+            </div>
+            <div style={{ fontSize: 13 }} title="Target time earns points, negative zones cost points by severity">
+              Score: <span style={{ fontWeight: 800 }}>{score}</span>
             </div>
             <div style={{ fontSize: 13, opacity: 0.75 }}>Hold: {holdSeconds.toFixed(1)}s</div>
             <div style={{ fontSize: 13, opacity: 0.75 }}>Best: {bestHoldSeconds.toFixed(1)}s</div>
+            {modeText && <div style={{ fontSize: 13, fontWeight: 700 }}>{modeText}</div>}
+            {flow && (
+              <div
+                style={{ fontSize: 13 }}
+                title="Pucks done, completions per sim minute, average seconds from arrival to done, pucks still on the board"
+              >
+                Done: <span style={{ fontWeight: 800 }}>{flow.completed}</span> • {flow.perMin}/min • {flow.latency} avg
+                • Backlog: <span style={{ fontWeight: 800 }}>{flow.backlog}</span>
+              </div>
+            )}
+            {versusScores?.map((v, slot) => (
+              <div key={slot} style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 4 }}>
+                <span
+                  style={{
+                    width: 10,
+                    height: 10,
+                    borderRadius: 999,
+                    background: STICK_COLORS[slot],
+                    border: "1px solid rgba(0,0,0,0.25)",
+                  }}
+                />
+                P{slot + 1}: <span style={{ fontWeight: 800 }}>{v}</span>
+              </div>
+            ))}
+            <div style={{ fontSize: 13, opacity: 0.75 }}>
+              Seed: <span style={{ fontFamily: "monospace" }}>{seed}</span>
+            </div>
 
-            <Button kind={running ? "secondary" : "default"} onClick={() => setRunning((r) => !r)}>
+            <ProfilePicker
+              profiles={leaderboard.profiles}
+              activeId={leaderboard.activeProfileId}
+              onSelect={changeProfile}
+              onCreate={addProfile}
+            />
+            <Button
+              kind={running ? "secondary" : "default"}
+              onClick={togglePause}
+              disabled={!replayView && simRef.current.mode.status !== "playing"}
+            >
               {running ? "Pause" : "Resume"}
             </Button>
             <Button kind="outline" onClick={reset}>
               Reset
             </Button>
+            {!replayView && (
+              <Button kind="outline" onClick={endRound}>
+                End round
+              </Button>
+            )}
+            <Button
+              kind="outline"
+              onClick={() => {
+                setZoneEditorOpen((o) => !o);
+                setSettingsOpen(false);
+              }}
+            >
+              Zones • {layoutName}
+            </Button>
+            <Button
+              kind="outline"
+              onClick={() => {
+                setSettingsOpen((o) => !o);
+                setZoneEditorOpen(false);
+              }}
+            >
+              Settings{presetName ? ` • ${presetName}` : ""}
+            </Button>
+            <select
+              value={botId ?? ""}
+              onChange={(e) => changeBot(e.target.value || null)}
+              style={{ fontSize: 13 }}
+              title="Autopilot"
+            >
+              <option value="">Autopilot off</option>
+              {BOT_IDS.map((id) => (
+                <option key={id} value={id}>
+                  Bot: {BOTS[id].label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={versus}
+              onChange={(e) => changeVersus(Number(e.target.value))}
+              style={{ fontSize: 13 }}
+              title="Players"
+            >
+              <option value={0}>Co-op (any touches)</option>
+              {[2, 3, 4].map((n) => (
+                <option key={n} value={n}>
+                  Versus: {n} players
+                </option>
+              ))}
+            </select>
+            <Button kind="outline" onClick={() => setA11yOpen(true)}>
+              Accessibility
+            </Button>
+            <Button kind="outline" onClick={() => setControlsOpen(true)}>
+              Controls
+            </Button>
+            <Button kind="outline" onClick={() => setBenchmarkOpen(true)}>
+              Benchmark
+            </Button>
+            <Button kind="outline" onClick={() => setModeStartOpen(true)}>
+              Mode • {MODES[mode.id].label}
+            </Button>
+            <Button
+              kind="outline"
+              onClick={() => {
+                setLeaderboardMessage(null);
+                setLeaderboardOpen(true);
+              }}
+            >
+              Leaderboard
+            </Button>
+            <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 4, cursor: "pointer" }}>
+              <input type="checkbox" checked={reuseSeed} onChange={(e) => setReuseSeed(e.target.checked)} />
+              Same seed
+            </label>
+            <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 4, cursor: "pointer" }}>
+              <input type="checkbox" checked={showGhost} onChange={(e) => setShowGhost(e.target.checked)} />
+              Ghost
+            </label>
+            <label style={{ fontSize: 13, display: "flex", alignItems: "center", gap: 4, cursor: "pointer" }}>
+              <input type="checkbox" checked={showHeatmap} onChange={(e) => setShowHeatmap(e.target.checked)} />
+              Heatmap
+            </label>
+            {showHeatmap && (
+              <>
+                <Button kind="outline" onClick={() => exportHeatmap("png")}>
+                  Heatmap PNG
+                </Button>
+                <Button kind="outline" onClick={() => exportHeatmap("json")}>
+                  Heatmap JSON
+                </Button>
+              </>
+            )}
+            <select
+              value={trailMode}
+              onChange={(e) => setTrailMode(e.target.value)}
+              style={{ fontSize: 13 }}
+              title="Motion trails (selected: double-click a puck)"
+            >
+              <option value="off">No trails</option>
+              <option value="all">Trails: every puck</option>
+              <option value="selected">Trails: selected puck</option>
+            </select>
+            <select
+              value={rendererKind}
+              onChange={(e) => setRendererKind(e.target.value)}
+              style={{ fontSize: 13 }}
+              title="Renderer"
+            >
+              <option value="canvas">Canvas</option>
+              <option value="dom">DOM</option>
+            </select>
           </div>
         </div>
 
-        <div
-          ref={containerRef}
-          style={boardWrap}
-          onPointerDown={onPointerDown}
-          onPointerMove={onPointerMove}
-          onPointerUp={onPointerUp}
-          onPointerCancel={onPointerUp}
-          onPointerLeave={onPointerUp}
-        >
-          {/* Board base */}
+        {resumeOffer && (
           <div
             style={{
-              position: "absolute",
-              inset: 0,
-              background: "linear-gradient(135deg, #0b1220, #0f172a)",
-              boxShadow: "inset 0 0 0 1px rgba(255,255,255,0.06)",
+              display: "flex",
+              alignItems: "center",
+              gap: 10,
+              flexWrap: "wrap",
+              fontSize: 13,
+              padding: "8px 12px",
+              marginBottom: 12,
+              borderRadius: 12,
+              background: "rgba(59,130,246,0.08)",
+              border: "1px solid rgba(59,130,246,0.3)",
             }}
-          />
+          >
+            <span style={{ fontWeight: 800 }}>Unfinished round found</span>
+            <span style={{ opacity: 0.75 }}>
+              {formatClock(resumeOffer.state.time)} in • seed{" "}
+              <span style={{ fontFamily: "monospace" }}>{resumeOffer.state.seed}</span> • saved{" "}
+              {new Date(resumeOffer.savedAt).toLocaleString()}
+            </span>
+            <Button onClick={resumeSavedBoard}>Resume where you left off</Button>
+            <Button kind="outline" onClick={discardSavedBoard}>
+              Start fresh
+            </Button>
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 12, alignItems: "stretch", flexWrap: "wrap" }}>
+          <div style={{ flex: "1 1 560px", minWidth: 0 }}>
+            {!replayView && (
+              <ToolBar tool={tool} cooldowns={toolCooldowns} keyHint={keyHint("tool")} onSelect={setTool} />
+            )}
+            <div
+              ref={containerRef}
+              style={boardWrap}
+              role="application"
+              aria-roledescription="puck board"
+              aria-label={`Puck board: ${inTargetCount} of ${simRef.current.pucks.length} pucks in the target zone${
+                allHeld ? ", all held" : ""
+              }`}
+              onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerCancel={onPointerUp}
+              onPointerLeave={onPointerUp}
+              onDoubleClick={onBoardDoubleClick}
+            >
+              {/* Board base */}
+              <div
+                style={{
+                  position: "absolute",
+                  inset: 0,
+                  background: "linear-gradient(135deg, #0b1220, #0f172a)",
+                  boxShadow: "inset 0 0 0 1px rgba(255,255,255,0.06)",
+                }}
+              />
 
-          {/* Negative zone backgrounds */}
-          {NEG_ZONES.map((z, idx) => {
-            const flashing = !!zoneAlerts[z.text];
-            return (
+              {/* Negative zone backgrounds (band strips here, shaped zones above the target) */}
+              {colors.negZones.filter((z) => !z.shape).map(negZoneBackground)}
+
+              {/* Improvement zone */}
               <div
-                key={idx}
                 style={{
                   position: "absolute",
                   top: 0,
                   bottom: 0,
-                  left: `${(z.x0 / cfg.boardW) * 100}%`,
-                  width: `${((z.x1 - z.x0) / cfg.boardW) * 100}%`,
-                  background: flashing ? "rgba(239,68,68,0.33)" : z.bg,
-                  boxShadow: flashing ? "inset 0 0 32px rgba(239,68,68,0.65)" : "none",
-                  transition: "background 120ms linear, box-shadow 120ms linear",
+                  left: `${(negativeEndX / cfg.boardW) * 100}%`,
+                  width: `${((improveZoneX - negativeEndX) / cfg.boardW) * 100}%`,
+                  background: hexToRgba(colors.improve, 0.08),
                 }}
               />
-            );
-          })}
 
-          {/* Improvement zone */}
-          <div
-            style={{
-              position: "absolute",
-              top: 0,
-              bottom: 0,
-              left: `${(negativeEndX / cfg.boardW) * 100}%`,
-              width: `${((improveZoneX - negativeEndX) / cfg.boardW) * 100}%`,
-              background: "rgba(234,179,8,0.08)",
-            }}
-          />
+              {/* Center line */}
+              <div
+                style={{
+                  position: "absolute",
+                  top: 0,
+                  bottom: 0,
+                  left: "50%",
+                  width: 1,
+                  background: "rgba(255,255,255,0.08)",
+                }}
+              />
 
-          {/* Center line */}
-          <div
-            style={{
-              position: "absolute",
-              top: 0,
-              bottom: 0,
-              left: "50%",
-              width: 1,
-              background: "rgba(255,255,255,0.08)",
-            }}
-          />
+              {/* Target zone (the right-hand strip, or the layout's target area) */}
+              <div
+                style={{
+                  ...boxStyle(targetBox),
+                  borderRadius: targetArea?.kind === "circle" ? "50%" : 0,
+                  background: hexToRgba(colors.target, 0.12),
+                  ...(targetArea
+                    ? { boxShadow: `inset 0 0 0 2px ${hexToRgba(colors.target, 0.45)}` }
+                    : { borderLeft: "1px solid rgba(255,255,255,0.12)" }),
+                }}
+              />
 
-          {/* Target zone */}
-          <div
-            style={{
-              position: "absolute",
-              top: 0,
-              bottom: 0,
-              right: 0,
-              width: `${(cfg.targetZoneW / cfg.boardW) * 100}%`,
-              background: "rgba(34,197,94,0.12)",
-              borderLeft: "1px solid rgba(255,255,255,0.12)",
-            }}
-          />
+              {colors.negZones.filter((z) => z.shape).map(negZoneBackground)}
+
+              {/* Obstacles: pucks bounce off, the stick passes over */}
+              {obstacles.map((o) => (
+                <div
+                  key={o.id}
+                  style={{
+                    ...boxStyle(o),
+                    borderRadius: o.kind === "circle" ? "50%" : 3,
+                    background: "repeating-linear-gradient(45deg, #475569 0 4px, #334155 4px 8px)",
+                    boxShadow: "0 4px 12px rgba(0,0,0,0.45), inset 0 0 0 1px rgba(255,255,255,0.2)",
+                  }}
+                />
+              ))}
+
+              {/* Versus: one lane of the target per player */}
+              {(simRef.current.zones.targetLanes ?? []).map((lane) => (
+                <div
+                  key={lane.owner}
+                  style={{
+                    position: "absolute",
+                    left: `${(lane.x0 / cfg.boardW) * 100}%`,
+                    width: `${((lane.x1 - lane.x0) / cfg.boardW) * 100}%`,
+                    top: `${(lane.y0 / cfg.boardH) * 100}%`,
+                    height: `${((lane.y1 - lane.y0) / cfg.boardH) * 100}%`,
+                    background: hexToRgba(lane.color, 0.1),
+                    boxShadow: `inset 0 0 0 2px ${hexToRgba(lane.color, 0.45)}`,
+                    pointerEvents: "none",
+                  }}
+                />
+              ))}
+
+              {/* Green zone vertical labels */}
+              {GREEN_LABELS.map((text, idx) => {
+                const seg = (targetBox.y1 - targetBox.y0) / GREEN_LABELS.length;
+                const yMid = targetBox.y0 + idx * seg + seg / 2;
+                return (
+                  <div
+                    key={text}
+                    style={{
+                      position: "absolute",
+                      left: `${(targetBox.x0 / cfg.boardW) * 100}%`,
+                      width: `${((targetBox.x1 - targetBox.x0) / cfg.boardW) * 100}%`,
+                      top: `${(yMid / cfg.boardH) * 100}%`,
+                      transform: "translateY(-50%)",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      pointerEvents: "none",
+                    }}
+                  >
+                    <div
+                      style={{
+                        color: "rgba(220,252,231,0.78)",
+                        fontSize: 11,
+                        fontWeight: 700,
+                        letterSpacing: "0.12em",
+                        textTransform: "uppercase",
+                        userSelect: "none",
+                        whiteSpace: "nowrap",
+                        textShadow: `0 0 10px ${hexToRgba(colors.target, 0.35)}`,
+                      }}
+                    >
+                      {text}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {/* Labels */}
+              {NEG_ZONES.length > 0 && (
+                <div
+                  style={{
+                    position: "absolute",
+                    top: 10,
+                    left: 10,
+                    fontSize: 12,
+                    padding: "6px 8px",
+                    borderRadius: 10,
+                    background: hexToRgba(colors.negative, 0.18),
+                    color: "rgba(254,226,226,0.95)",
+                    border: `1px solid ${hexToRgba(colors.negative, 0.35)}`,
+                  }}
+                >
+                  Negative zones
+                </div>
+              )}
+
+              {improveZoneX > negativeEndX && (
+                <div
+                  style={{
+                    position: "absolute",
+                    top: 10,
+                    left: `${(negativeEndX / cfg.boardW) * 100 + 2}%`,
+                    fontSize: 12,
+                    padding: "6px 8px",
+                    borderRadius: 10,
+                    background: hexToRgba(colors.improve, 0.18),
+                    color: "rgba(254,243,199,0.95)",
+                    border: `1px solid ${hexToRgba(colors.improve, 0.35)}`,
+                  }}
+                >
+                  {IMPROVE.text}
+                </div>
+              )}
 
-          {/* Green zone vertical labels */}
-          {GREEN_LABELS.map((text, idx) => {
-            const x0 = cfg.boardW - cfg.targetZoneW;
-            const seg = cfg.boardH / GREEN_LABELS.length;
-            const y0 = idx * seg;
-            const yMid = y0 + seg / 2;
-            return (
               <div
-                key={text}
                 style={{
                   position: "absolute",
-                  left: `${(x0 / cfg.boardW) * 100}%`,
-                  width: `${(cfg.targetZoneW / cfg.boardW) * 100}%`,
-                  top: `${(yMid / cfg.boardH) * 100}%`,
-                  transform: "translateY(-50%)",
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "center",
-                  pointerEvents: "none",
+                  top: 10,
+                  right: 10,
+                  fontSize: 12,
+                  padding: "6px 8px",
+                  borderRadius: 10,
+                  background: hexToRgba(colors.target, 0.22),
+                  color: "rgba(220,252,231,0.95)",
+                  border: `1px solid ${hexToRgba(colors.target, 0.4)}`,
                 }}
               >
+                {TARGET.text}
+              </div>
+
+              {/* Negative zone labels (vertical in tall zones) */}
+              {colors.negZones.map((z) => {
+                const flashing = !!zoneAlerts[z.id];
+                return (
+                  <div
+                    key={z.id}
+                    style={{
+                      ...boxStyle(z),
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      pointerEvents: "none",
+                    }}
+                  >
+                    <div
+                      style={{
+                        transform: z.y1 - z.y0 > z.x1 - z.x0 ? "rotate(-90deg)" : "none",
+                        color: flashing ? "rgba(254,226,226,0.96)" : "rgba(254,226,226,0.55)",
+                        fontSize: 12,
+                        fontWeight: 700,
+                        letterSpacing: "0.16em",
+                        textTransform: "uppercase",
+                        userSelect: "none",
+                        whiteSpace: "nowrap",
+                        textShadow: flashing && !reduceMotion ? `0 0 12px ${hexToRgba(z.color, 0.85)}` : "none",
+                        transition: reduceMotion ? "none" : "color 120ms linear, text-shadow 120ms linear",
+                      }}
+                    >
+                      {z.text}
+                      {occupancy && ` • ${occupancy[z.id] ?? 0}%`}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {/* Heatmap and trails (drawn every frame, under the pucks) */}
+              <div ref={overlayHostRef} style={{ position: "absolute", inset: 0, pointerEvents: "none" }} />
+
+              {/* Pucks, ghost and stick (drawn by the renderer every frame) */}
+              <div ref={rendererHostRef} style={{ position: "absolute", inset: 0, pointerEvents: "none" }} />
+
+              {/* Name tooltip */}
+              {hover && (!selected || selected.puck.id !== hover.id) && (
                 <div
                   style={{
-                    color: "rgba(220,252,231,0.78)",
-                    fontSize: 11,
-                    fontWeight: 700,
-                    letterSpacing: "0.12em",
-                    textTransform: "uppercase",
-                    userSelect: "none",
+                    position: "absolute",
+                    left: `${(hover.x / cfg.boardW) * 100}%`,
+                    top: `${(hover.y / cfg.boardH) * 100}%`,
+                    transform: "translate(-50%, calc(-100% - 14px))",
+                    padding: "4px 8px",
+                    borderRadius: 8,
+                    background: "rgba(15,23,42,0.92)",
+                    color: "rgba(226,232,240,0.95)",
+                    border: "1px solid rgba(255,255,255,0.16)",
+                    fontSize: 12,
                     whiteSpace: "nowrap",
-                    textShadow: "0 0 10px rgba(34,197,94,0.35)",
+                    pointerEvents: "none",
                   }}
                 >
-                  {text}
+                  {hover.name}
+                  {hover.category && <span style={{ opacity: 0.7 }}> • {hover.category}</span>}
+                  {hover.role && <span style={{ opacity: 0.7 }}> • {hover.role}</span>}
                 </div>
-              </div>
-            );
-          })}
+              )}
 
-          {/* Labels */}
-          <div
-            style={{
-              position: "absolute",
-              top: 10,
-              left: 10,
-              fontSize: 12,
-              padding: "6px 8px",
-              borderRadius: 10,
-              background: "rgba(239,68,68,0.18)",
-              color: "rgba(254,226,226,0.95)",
-              border: "1px solid rgba(239,68,68,0.35)",
-            }}
-          >
-            Negative zones
-          </div>
+              {selected && (
+                <PuckDetails puck={selected.puck} where={selected.where} cfg={cfg} onClose={() => selectPuck(null)} />
+              )}
 
-          <div
-            style={{
-              position: "absolute",
-              top: 10,
-              left: `${(negativeEndX / cfg.boardW) * 100 + 2}%`,
-              fontSize: 12,
-              padding: "6px 8px",
-              borderRadius: 10,
-              background: "rgba(234,179,8,0.18)",
-              color: "rgba(254,243,199,0.95)",
-              border: "1px solid rgba(234,179,8,0.35)",
-            }}
-          >
-            Improved, but needs more improvement
-          </div>
-
-          <div
-            style={{
-              position: "absolute",
-              top: 10,
-              right: 10,
-              fontSize: 12,
-              padding: "6px 8px",
-              borderRadius: 10,
-              background: "rgba(34,197,94,0.22)",
-              color: "rgba(220,252,231,0.95)",
-              border: "1px solid rgba(34,197,94,0.40)",
-            }}
-          >
-            In compliance • Profitable • Safe • Stay here
-          </div>
+              <DisruptionBanner status={disruption} zoneName={(id) => NEG_ZONES.find((z) => z.id === id)?.text ?? id} />
 
-          {/* Negative zone vertical labels */}
-          {NEG_ZONES.map((z, idx) => {
-            const leftPct = (z.x0 / cfg.boardW) * 100;
-            const widthPct = ((z.x1 - z.x0) / cfg.boardW) * 100;
-            const flashing = !!zoneAlerts[z.text];
-            return (
+              {/* Status chip */}
               <div
-                key={idx}
                 style={{
                   position: "absolute",
-                  top: 0,
-                  bottom: 0,
-                  left: `${leftPct}%`,
-                  width: `${widthPct}%`,
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "center",
+                  left: 10,
+                  bottom: 10,
+                  fontSize: 12,
+                  padding: "6px 10px",
+                  borderRadius: 999,
+                  background: allHeld ? hexToRgba(colors.held, 0.18) : "rgba(255,255,255,0.10)",
+                  color: allHeld ? "rgba(220,252,231,0.95)" : "rgba(226,232,240,0.95)",
+                  border: allHeld ? `1px solid ${hexToRgba(colors.held, 0.35)}` : "1px solid rgba(255,255,255,0.14)",
                   pointerEvents: "none",
                 }}
               >
+                {replayView ? "Replay" : allHeld ? "All held in zone" : "Keep herding"}
+              </div>
+
+              {/* Band occupancy while the heatmap is on (negative zones show theirs in their labels) */}
+              {occupancy && (
                 <div
                   style={{
-                    transform: "rotate(-90deg)",
-                    color: flashing ? "rgba(254,226,226,0.96)" : "rgba(254,226,226,0.55)",
+                    position: "absolute",
+                    right: 10,
+                    bottom: 10,
                     fontSize: 12,
-                    fontWeight: 700,
-                    letterSpacing: "0.16em",
-                    textTransform: "uppercase",
-                    userSelect: "none",
-                    whiteSpace: "nowrap",
-                    textShadow: flashing ? "0 0 12px rgba(239,68,68,0.85)" : "none",
-                    transition: "color 120ms linear, text-shadow 120ms linear",
+                    padding: "6px 10px",
+                    borderRadius: 999,
+                    background: "rgba(15,23,42,0.75)",
+                    color: "rgba(226,232,240,0.95)",
+                    border: "1px solid rgba(255,255,255,0.14)",
+                    pointerEvents: "none",
                   }}
                 >
-                  {z.text}
+                  {Object.entries(BAND_LABELS)
+                    .map(([id, label]) => `${label} ${occupancy[id]}%`)
+                    .join(" • ")}
                 </div>
-              </div>
-            );
-          })}
-
-          {/* Pucks */}
-          {pucks.map((p) => {
-            const leftPct = (p.x / cfg.boardW) * 100;
-            const topPct = (p.y / cfg.boardH) * 100;
-            const inZone = p.x >= targetX + cfg.puckRadius * 0.4;
-            return (
-              <div
-                key={p.id}
-                style={{
-                  position: "absolute",
-                  left: `${leftPct}%`,
-                  top: `${topPct}%`,
-                  width: `${((cfg.puckRadius * 2) / cfg.boardW) * 100}%`,
-                  height: `${((cfg.puckRadius * 2) / cfg.boardH) * 100}%`,
-                  transform: "translate(-50%, -50%)",
-                  borderRadius: 999,
-                  background: `hsl(${p.hue} 85% 55% / ${inZone ? 0.95 : 0.9})`,
-                  boxShadow: inZone
-                    ? "0 10px 24px rgba(34,197,94,0.18), inset 0 0 0 2px rgba(255,255,255,0.18)"
-                    : "0 10px 24px rgba(0,0,0,0.35), inset 0 0 0 2px rgba(255,255,255,0.16)",
-                  border: "1px solid rgba(255,255,255,0.14)",
-                }}
-              />
-            );
-          })}
+              )}
+            </div>
 
-          {/* Stick */}
-          <div
-            style={{
-              position: "absolute",
-              left: `${(stickView.x / cfg.boardW) * 100}%`,
-              top: `${(stickView.y / cfg.boardH) * 100}%`,
-              width: `${((cfg.stickRadius * 2) / cfg.boardW) * 100}%`,
-              height: `${((cfg.stickRadius * 2) / cfg.boardH) * 100}%`,
-              transform: "translate(-50%, -50%)",
-              borderRadius: 999,
-              pointerEvents: "none",
-              background: stickView.down ? "rgba(255,255,255,0.16)" : "rgba(255,255,255,0.08)",
-              border: stickView.down ? "2px solid rgba(255,255,255,0.38)" : "1px solid rgba(255,255,255,0.22)",
-              boxShadow: stickView.down ? "0 12px 30px rgba(255,255,255,0.10)" : "none",
-              backdropFilter: "blur(6px)",
-            }}
-          />
+            <EventTimeline
+              events={events}
+              duration={roundTime}
+              describe={describe}
+              selectedPuckId={selectedId}
+              onSelect={selectPuck}
+            />
+          </div>
 
-          {/* Status chip */}
-          <div
-            style={{
-              position: "absolute",
-              left: 10,
-              bottom: 10,
-              fontSize: 12,
-              padding: "6px 10px",
-              borderRadius: 999,
-              background: allHeld ? "rgba(34, 197, 94, 0.18)" : "rgba(255,255,255,0.10)",
-              color: allHeld ? "rgba(220,252,231,0.95)" : "rgba(226,232,240,0.95)",
-              border: allHeld ? "1px solid rgba(34,197,94,0.35)" : "1px solid rgba(255,255,255,0.14)",
-              pointerEvents: "none",
-            }}
-          >
-            {allHeld ? "All held in zone" : "Keep herding"}
+          <div style={{ flex: "0 1 260px", minWidth: 220, minHeight: 220, position: "relative" }}>
+            <div style={{ position: "absolute", inset: 0 }}>
+              <EventLog events={events} describe={describe} selectedPuckId={selectedId} onSelect={selectPuck} />
+            </div>
           </div>
         </div>
 
+        {replayView && (
+          <ReplayControls
+            recording={replayView.recording}
+            frame={replayView.frame}
+            playing={replayPlaying}
+            speed={replaySpeed}
+            onTogglePlay={toggleReplayPlay}
+            onSeek={seekReplayTo}
+            onSpeed={setReplaySpeed}
+            onExit={exitReplay}
+          />
+        )}
+
         <div style={{ marginTop: 12, fontSize: 13, opacity: 0.7 }}>
-          Tip: Click or press and drag the stick into pucks to nudge them. When you get all of them into the green target
-          zone, your job is to keep them there.
+          Tip: Click or press and drag the stick into pucks to nudge them. When you get all of them into the green
+          target zone, your job is to keep them there. Hover a puck for its name; double-click it for live details. No
+          mouse? Move with {keyHint("up")} {keyHint("left")} {keyHint("down")} {keyHint("right")}, hold{" "}
+          {keyHint("engage")} to push and press {keyHint("pause")} to pause. Press {keyHint("tool")} or use the toolbar
+          to swap the push for a magnet (pulls pucks in while held), a fence (drag out a short-lived wall) or a lasso
+          (draw a loop around pucks to send them toward the target); each needs a moment to recharge. Gamepads work too.
+          On a touchscreen up to {MAX_STICKS} people can herd at once, each finger with its own stick; pick Versus to
+          give everyone their own pucks and lane. Tick Heatmap to see where the pucks spend their time (with each zone's
+          share), and turn on trails to watch how they drift.
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          <RosterControls roster={roster} message={rosterMessage} onImport={importRoster} onClear={clearRoster} />
         </div>
+
+        <RunsPanel runs={runs} onWatch={watchRun} />
       </div>
+
+      <SettingsDrawer
+        open={settingsOpen}
+        onClose={() => setSettingsOpen(false)}
+        settings={settings}
+        presetName={presetName}
+        presets={presets}
+        isBuiltin={isBuiltinPreset}
+        pending={replayView ? [] : pendingResetFields(cfg, settings)}
+        message={settingsMessage}
+        onChange={(next) => changeSettings(next)}
+        onSelectPreset={selectPreset}
+        onSavePreset={saveSettingsAsPreset}
+        onDeletePreset={removePreset}
+        onExport={exportSettings}
+        onImport={importSettings}
+        onApplyReset={reset}
+      />
+
+      {roundSummary && (
+        <SessionSummary
+          summary={roundSummary.summary}
+          meta={roundSummary.meta}
+          onExportPucks={() => exportSummary("pucks")}
+          onExportZones={() => exportSummary("zones")}
+          onExportJson={() => exportSummary("json")}
+          onClose={closeSummary}
+        />
+      )}
+
+      {controlsOpen && (
+        <ControlsPanel bindings={bindings} onChange={changeBindings} onClose={() => setControlsOpen(false)} />
+      )}
+
+      {a11yOpen && (
+        <AccessibilityPanel
+          prefs={a11y}
+          systemReduced={systemReduced}
+          onChange={changeAccessibility}
+          onClose={() => setA11yOpen(false)}
+        />
+      )}
+
+      {benchmarkOpen && (
+        <BenchmarkPanel
+          settings={settings}
+          layout={layout}
+          mode={mode}
+          roster={roster}
+          versus={versus}
+          onWatch={watchBot}
+          onClose={() => setBenchmarkOpen(false)}
+        />
+      )}
+
+      {modeStartOpen && <ModeStart initial={mode} onStart={startMode} onClose={closeModeStart} />}
+
+      {modeResult && (
+        <ModeResults
+          mode={modeResult}
+          onPlayAgain={playModeAgain}
+          onChangeMode={() => {
+            setModeResult(null);
+            setModeStartOpen(true);
+          }}
+          onDetails={showModeDetails}
+        />
+      )}
+
+      {leaderboardOpen && (
+        <Leaderboard
+          data={leaderboard}
+          activeProfileId={leaderboard.activeProfileId}
+          message={leaderboardMessage}
+          onExport={exportLeaderboard}
+          onImport={mergeLeaderboard}
+          onClose={() => setLeaderboardOpen(false)}
+        />
+      )}
+
+      <ZoneEditor
+        open={zoneEditorOpen}
+        onClose={() => setZoneEditorOpen(false)}
+        layouts={layouts}
+        activeName={layoutName}
+        message={zoneEditorMessage}
+        onApply={applyLayout}
+        onDelete={removeLayout}
+      />
     </div>
   );
 }
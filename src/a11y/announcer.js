@@ -0,0 +1,72 @@
+// Screen-reader announcements for the board
+// - Reads the round's event log and in-zone count once per frame and hands back at most a couple of sentences
+// - Hold start / break, level ups, disruptions, escalations and the round end are spoken straight away; a broken
+//   hold interrupts (assertive)
+// - Zone entries are batched: at most one sentence every ZONE_EVERY seconds, naming the zones and how many entered
+// - The in-zone count is spoken once it has held still for COUNT_SETTLE seconds, so a puck bobbing on the target
+//   edge doesn't flood the reader
+// - A new round, a replay or a seek gives the state a new event log; the backlog in it is skipped, not read out
+
+import { describeEvent } from "../engine/events";
+
+const ZONE_EVERY = 4; // seconds
+const COUNT_SETTLE = 1.2; // seconds
+
+export function createAnnouncer() {
+  return {
+    log: null, // the event log last read
+    seq: 0,
+    zoneEntries: {}, // { [zoneText]: count } since the last zone sentence
+    lastZoneAt: -Infinity,
+    count: null, // in-zone count as last seen
+    countSince: 0,
+    spokenCount: null,
+  };
+}
+
+// now: wall-clock seconds. Returns { polite, assertive }, each a sentence or "" when there is nothing to say
+export function announce(announcer, state, now, nameOf) {
+  const a = announcer;
+  const polite = [];
+  const assertive = [];
+  const total = state.pucks.length;
+
+  if (a.log !== state.events) {
+    a.log = state.events;
+    a.seq = state.events.seq;
+    a.zoneEntries = {};
+    a.count = a.spokenCount = state.inTargetCount;
+    a.countSince = now;
+  }
+
+  for (const e of state.events.entries) {
+    if (e.seq <= a.seq) continue;
+    if (e.type === "zoneEnter") {
+      const zone = state.zones.negZones.find((z) => z.id === e.zoneId)?.text ?? e.zoneId;
+      a.zoneEntries[zone] = (a.zoneEntries[zone] ?? 0) + 1;
+    } else if (e.type === "holdBreak") {
+      assertive.push(describeEvent(state, e, nameOf));
+    } else if (["holdStart", "levelUp", "disruption", "disruptionEnd", "escalate", "roundEnd"].includes(e.type)) {
+      polite.push(describeEvent(state, e, nameOf));
+    }
+  }
+  a.seq = state.events.seq;
+
+  const zones = Object.entries(a.zoneEntries);
+  if (zones.length && now - a.lastZoneAt >= ZONE_EVERY) {
+    const parts = zones.map(([zone, n]) => (n === 1 ? `1 puck entered ${zone}` : `${n} pucks entered ${zone}`));
+    polite.push(parts.join(", "));
+    a.zoneEntries = {};
+    a.lastZoneAt = now;
+  }
+
+  if (state.inTargetCount !== a.count) {
+    a.count = state.inTargetCount;
+    a.countSince = now;
+  } else if (a.count !== a.spokenCount && now - a.countSince >= COUNT_SETTLE) {
+    polite.push(`${a.count} of ${total} in zone`);
+    a.spokenCount = a.count;
+  }
+
+  return { polite: polite.join(". "), assertive: assertive.join(". ") };
+}
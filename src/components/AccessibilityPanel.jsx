@@ -0,0 +1,95 @@
+import React from "react";
+import Button from "./Button";
+import { PALETTES } from "../render/palette";
+import { MOTION_OPTIONS } from "../storage/accessibility";
+
+// Palette, motion and screen-reader options; every change is saved straight away
+export default function AccessibilityPanel({ prefs, systemReduced, onChange, onClose }) {
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    maxWidth: 460,
+    width: "100%",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+    display: "grid",
+    gap: 10,
+  };
+  const heading = { fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: "0.08em", opacity: 0.7 };
+  const option = { display: "flex", alignItems: "center", gap: 6, fontSize: 13, cursor: "pointer" };
+
+  return (
+    <div style={overlay} onClick={onClose}>
+      <div
+        style={panel}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="a11y-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div id="a11y-title" style={{ fontSize: 18, fontWeight: 800 }}>
+            Accessibility
+          </div>
+          <Button kind="outline" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+
+        <div style={heading}>Colors</div>
+        {Object.entries(PALETTES).map(([id, p]) => (
+          <label key={id} style={option}>
+            <input
+              type="radio"
+              name="palette"
+              checked={prefs.palette === id}
+              onChange={() => onChange({ ...prefs, palette: id })}
+            />
+            {p.label}
+          </label>
+        ))}
+
+        <div style={heading}>Motion</div>
+        {Object.entries(MOTION_OPTIONS).map(([id, label]) => (
+          <label key={id} style={option}>
+            <input
+              type="radio"
+              name="motion"
+              checked={prefs.motion === id}
+              onChange={() => onChange({ ...prefs, motion: id })}
+            />
+            {label}
+            {id === "system" && (
+              <span style={{ opacity: 0.6 }}>({systemReduced ? "reduced" : "full"} on this device)</span>
+            )}
+          </label>
+        ))}
+        <div style={{ fontSize: 12, opacity: 0.7 }}>
+          Reduced motion swaps zone flashes and glows for a steady outline.
+        </div>
+
+        <div style={heading}>Screen reader</div>
+        <label style={option}>
+          <input
+            type="checkbox"
+            checked={prefs.announce}
+            onChange={(e) => onChange({ ...prefs, announce: e.target.checked })}
+          />
+          Announce holds, zone entries and the in-zone count
+        </label>
+      </div>
+    </div>
+  );
+}
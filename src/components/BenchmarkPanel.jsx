@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from "react";
+import Button from "./Button";
+import { BOTS, BOT_IDS } from "../engine/bots";
+import { runBenchmark } from "../engine/benchmark";
+
+const fmt = (v, digits = 1) => v.toFixed(digits);
+
+// Run N seeded rounds per bot strategy on the current settings and compare hold time and score
+export default function BenchmarkPanel({ settings, layout, mode, roster, versus, onWatch, onClose }) {
+  const [bots, setBots] = useState(BOT_IDS);
+  const [rounds, setRounds] = useState(10);
+  const [seconds, setSeconds] = useState(120);
+  const [baseSeed, setBaseSeed] = useState(1);
+  const [progress, setProgress] = useState(null); // { done, total, results }
+  const [runningBench, setRunningBench] = useState(false);
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  function run() {
+    const it = runBenchmark(settings, {
+      bots,
+      rounds: Math.max(1, Math.round(rounds)),
+      seconds: Math.max(5, seconds),
+      baseSeed: Math.round(baseSeed),
+      layout,
+      mode,
+      roster,
+      versus,
+    });
+    setRunningBench(true);
+    // One round per timeout so the page keeps drawing
+    const next = () => {
+      const { value, done } = it.next();
+      if (done) {
+        setRunningBench(false);
+        return;
+      }
+      setProgress(value);
+      timerRef.current = setTimeout(next, 0);
+    };
+    next();
+  }
+
+  function stop() {
+    clearTimeout(timerRef.current);
+    setRunningBench(false);
+  }
+
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    maxWidth: 760,
+    width: "100%",
+    maxHeight: "90vh",
+    overflow: "auto",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+    display: "grid",
+    gap: 12,
+  };
+  const label = { fontSize: 13, display: "flex", alignItems: "center", gap: 4 };
+  const numInput = { width: 70, fontSize: 13 };
+  const table = { borderCollapse: "collapse", fontSize: 12, width: "100%" };
+  const th = {
+    textAlign: "left",
+    padding: "4px 6px",
+    borderBottom: "1px solid rgba(0,0,0,0.15)",
+    whiteSpace: "nowrap",
+  };
+  const td = { padding: "4px 6px", borderBottom: "1px solid rgba(0,0,0,0.06)", whiteSpace: "nowrap" };
+  const num = { ...td, textAlign: "right", fontFamily: "monospace" };
+
+  return (
+    <div style={overlay} onClick={runningBench ? undefined : onClose}>
+      <div style={panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <div style={{ fontSize: 18, fontWeight: 800 }}>Strategy benchmark</div>
+          <Button kind="outline" onClick={onClose} disabled={runningBench}>
+            Close
+          </Button>
+        </div>
+        <div style={{ fontSize: 13, opacity: 0.75 }}>
+          Uses the current settings, zones, mode, roster and versus players. Every strategy plays the same seeds.
+        </div>
+
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+          {BOT_IDS.map((id) => (
+            <label key={id} style={{ ...label, cursor: "pointer" }} title={BOTS[id].blurb}>
+              <input
+                type="checkbox"
+                checked={bots.includes(id)}
+                onChange={(e) => setBots(e.target.checked ? [...bots, id] : bots.filter((b) => b !== id))}
+              />
+              {BOTS[id].label}
+            </label>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center" }}>
+          <label style={label}>
+            Rounds
+            <input
+              type="number"
+              min={1}
+              max={200}
+              value={rounds}
+              onChange={(e) => setRounds(Number(e.target.value))}
+              style={numInput}
+            />
+          </label>
+          <label style={label}>
+            Seconds each
+            <input
+              type="number"
+              min={5}
+              max={1800}
+              step={5}
+              value={seconds}
+              onChange={(e) => setSeconds(Number(e.target.value))}
+              style={numInput}
+            />
+          </label>
+          <label style={label}>
+            First seed
+            <input
+              type="number"
+              min={0}
+              value={baseSeed}
+              onChange={(e) => setBaseSeed(Number(e.target.value))}
+              style={numInput}
+            />
+          </label>
+          {runningBench ? (
+            <Button kind="secondary" onClick={stop}>
+              Stop
+            </Button>
+          ) : (
+            <Button onClick={run} disabled={bots.length === 0}>
+              Run
+            </Button>
+          )}
+          {progress && (
+            <span style={{ fontSize: 13, opacity: 0.75 }}>
+              {progress.done}/{progress.total} rounds
+            </span>
+          )}
+        </div>
+
+        {progress && (
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Strategy</th>
+                <th style={{ ...th, textAlign: "right" }}>Rounds</th>
+                <th style={{ ...th, textAlign: "right" }}>Hold mean</th>
+                <th style={{ ...th, textAlign: "right" }}>Hold variance</th>
+                <th style={{ ...th, textAlign: "right" }}>Score mean</th>
+                <th style={{ ...th, textAlign: "right" }}>Score variance</th>
+                <th style={th}>Best seed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {progress.results.map((r) => {
+                const best = r.rounds.reduce((a, x) => (!a || x.score > a.score ? x : a), null);
+                return (
+                  <tr key={r.id}>
+                    <td style={td}>{r.label}</td>
+                    <td style={num}>{r.rounds.length}</td>
+                    <td style={num}>{fmt(r.hold.mean)}s</td>
+                    <td style={num}>{fmt(r.hold.variance, 2)}</td>
+                    <td style={num}>{fmt(r.score.mean, 0)}</td>
+                    <td style={num}>{fmt(r.score.variance, 0)}</td>
+                    <td style={td}>
+                      {best && (
+                        <Button kind="secondary" onClick={() => onWatch(r.id, best.seed)} disabled={runningBench}>
+                          Watch seed {best.seed}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
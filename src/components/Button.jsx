@@ -0,0 +1,32 @@
+import React from "react";
+
+export default function Button({ children, onClick, kind = "default", disabled = false }) {
+  const base = {
+    padding: "6px 10px",
+    borderRadius: 8,
+    border: "1px solid rgba(0,0,0,0.18)",
+    fontSize: 13,
+    cursor: "pointer",
+    userSelect: "none",
+  };
+
+  const variants = {
+    default: { background: "#111827", color: "#fff" },
+    secondary: { background: "#e5e7eb", color: "#111827" },
+    outline: { background: "transparent", color: "#111827" },
+  };
+
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      style={{
+        ...base,
+        ...(variants[kind] || variants.default),
+        ...(disabled ? { opacity: 0.5, cursor: "default" } : null),
+      }}
+    >
+      {children}
+    </button>
+  );
+}
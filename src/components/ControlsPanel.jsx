@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from "react";
+import Button from "./Button";
+import { DEFAULT_BINDINGS, KEY_ACTIONS, PAD_ACTIONS, keyLabel, padSnapshot } from "../input/controls";
+
+// Remap keyboard keys and gamepad buttons/axes; every change is saved straight away
+export default function ControlsPanel({ bindings, onChange, onClose }) {
+  const [listening, setListening] = useState(null); // { source: "keys" | "pad", id }
+
+  // Next key press becomes the binding (Escape cancels)
+  useEffect(() => {
+    if (listening?.source !== "keys") return;
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setListening(null);
+      if (e.code === "Escape") return;
+      // A key does one thing: take it away from any other action first
+      const keys = {};
+      for (const [id, list] of Object.entries(bindings.keys)) keys[id] = list.filter((c) => c !== e.code);
+      keys[listening.id] = [e.code, ...keys[listening.id]].slice(0, 3);
+      onChange({ ...bindings, keys });
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [listening, bindings, onChange]);
+
+  // Gamepads have no events for buttons, so poll until something is pressed or tilted
+  useEffect(() => {
+    if (listening?.source !== "pad") return;
+    const kind = PAD_ACTIONS.find((a) => a.id === listening.id).kind;
+    let raf = 0;
+    const poll = () => {
+      const snap = padSnapshot();
+      const index = snap ? snap[kind] : -1;
+      if (index >= 0) {
+        setListening(null);
+        onChange({ ...bindings, pad: { ...bindings.pad, [listening.id]: index } });
+        return;
+      }
+      raf = requestAnimationFrame(poll);
+    };
+    raf = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(raf);
+  }, [listening, bindings, onChange]);
+
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    maxWidth: 520,
+    width: "100%",
+    maxHeight: "90vh",
+    overflow: "auto",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+    display: "grid",
+    gap: 10,
+  };
+  const heading = { fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: "0.08em", opacity: 0.7 };
+  const row = { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, fontSize: 13 };
+  const chip = {
+    display: "inline-block",
+    minWidth: 22,
+    padding: "2px 6px",
+    marginLeft: 4,
+    borderRadius: 6,
+    border: "1px solid rgba(0,0,0,0.2)",
+    fontFamily: "monospace",
+    fontSize: 12,
+    textAlign: "center",
+  };
+  const isListening = (source, id) => listening?.source === source && listening.id === id;
+
+  return (
+    <div style={overlay} onClick={onClose}>
+      <div style={panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontSize: 18, fontWeight: 800 }}>Controls</div>
+          <Button kind="outline" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+
+        <div style={heading}>Keyboard</div>
+        {KEY_ACTIONS.map((a) => (
+          <div key={a.id} style={row}>
+            <span>{a.label}</span>
+            <span>
+              {isListening("keys", a.id) ? (
+                <span style={{ opacity: 0.7 }}>Press a key… </span>
+              ) : (
+                bindings.keys[a.id].map((c) => (
+                  <span key={c} style={chip}>
+                    {keyLabel(c)}
+                  </span>
+                ))
+              )}{" "}
+              <Button kind="secondary" onClick={() => setListening({ source: "keys", id: a.id })}>
+                Add key
+              </Button>{" "}
+              <Button kind="outline" onClick={() => onChange({ ...bindings, keys: { ...bindings.keys, [a.id]: [] } })}>
+                Clear
+              </Button>
+            </span>
+          </div>
+        ))}
+
+        <div style={heading}>Gamepad</div>
+        {PAD_ACTIONS.map((a) => (
+          <div key={a.id} style={row}>
+            <span>{a.label}</span>
+            <span>
+              {isListening("pad", a.id) ? (
+                <span style={{ opacity: 0.7 }}>{a.kind === "axis" ? "Tilt a stick…" : "Press a button…"} </span>
+              ) : (
+                <span style={chip}>
+                  {a.kind === "axis" ? "Axis" : "Button"} {bindings.pad[a.id]}
+                </span>
+              )}{" "}
+              <Button kind="secondary" onClick={() => setListening({ source: "pad", id: a.id })}>
+                Change
+              </Button>
+            </span>
+          </div>
+        ))}
+
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>Gamepads show up after their first button press.</span>
+          <Button kind="outline" onClick={() => onChange(DEFAULT_BINDINGS)}>
+            Restore defaults
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
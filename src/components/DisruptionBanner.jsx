@@ -0,0 +1,46 @@
+import React from "react";
+
+// Banner across the top of the board: what is about to hit (with a countdown) and what is on right now
+export default function DisruptionBanner({ status, zoneName }) {
+  if (!status.next && status.active.length === 0) return null;
+  const chip = (warning) => ({
+    padding: "6px 12px",
+    borderRadius: 999,
+    fontSize: 12,
+    fontWeight: 700,
+    color: "#fff",
+    background: warning ? "rgba(15,23,42,0.85)" : "rgba(219,39,119,0.85)",
+    border: warning ? "1px dashed rgba(249,168,212,0.8)" : "1px solid rgba(249,168,212,0.9)",
+    boxShadow: "0 6px 18px rgba(0,0,0,0.35)",
+    whiteSpace: "nowrap",
+  });
+  const what = (d) => (d.kind === "zone" && d.zoneId ? `${d.blurb}: ${zoneName(d.zoneId)}` : d.blurb);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 10,
+        left: "50%",
+        transform: "translateX(-50%)",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: 6,
+        pointerEvents: "none",
+        zIndex: 4,
+      }}
+    >
+      {status.active.map((d, i) => (
+        <div key={i} style={chip(false)}>
+          {d.label} • {what(d)} • {d.left}s left
+        </div>
+      ))}
+      {status.next && (
+        <div style={chip(true)}>
+          {status.next.label} in {status.next.in}s • {what(status.next)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React, { useEffect, useRef } from "react";
+import { EVENT_COLORS } from "./eventColors";
+
+// Scrollable side-panel log; sticks to the newest entry unless the user scrolled up
+export default function EventLog({ events, describe, selectedPuckId, onSelect }) {
+  const listRef = useRef(null);
+  const pinnedRef = useRef(true);
+
+  useEffect(() => {
+    const el = listRef.current;
+    if (el && pinnedRef.current) el.scrollTop = el.scrollHeight;
+  }, [events]);
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", minHeight: 0, height: "100%" }}>
+      <div style={{ fontSize: 13, fontWeight: 800, marginBottom: 6 }}>Event log</div>
+      <div
+        ref={listRef}
+        onScroll={(e) => {
+          const el = e.currentTarget;
+          pinnedRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < 8;
+        }}
+        style={{
+          flex: 1,
+          minHeight: 0,
+          overflowY: "auto",
+          fontSize: 12,
+          border: "1px solid rgba(0,0,0,0.08)",
+          borderRadius: 10,
+          padding: 6,
+        }}
+      >
+        {events.length === 0 && <div style={{ opacity: 0.6 }}>Nothing yet.</div>}
+        {events.map((e) => (
+          <div
+            key={e.seq}
+            onClick={() => e.puckId && onSelect(e.puckId)}
+            style={{
+              display: "flex",
+              gap: 6,
+              alignItems: "baseline",
+              padding: "2px 4px",
+              borderRadius: 6,
+              cursor: e.puckId ? "pointer" : "default",
+              background: e.puckId && e.puckId === selectedPuckId ? "rgba(96,165,250,0.15)" : "transparent",
+            }}
+          >
+            <span style={{ width: 8, height: 8, borderRadius: 999, background: EVENT_COLORS[e.type], flex: "none" }} />
+            <span style={{ fontFamily: "monospace", opacity: 0.6, flex: "none" }}>{e.t.toFixed(1)}s</span>
+            <span>{describe(e)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { EVENT_COLORS } from "./eventColors";
+
+// Session strip under the board: one coloured marker per event, clickable to highlight the puck involved
+export default function EventTimeline({ events, duration, describe, selectedPuckId, onSelect }) {
+  const span = Math.max(duration, 1);
+  // Stick contacts sit on the lower half so zone and hold markers stay readable
+  const lane = (type) => (type === "stickContact" ? "55%" : "10%");
+
+  return (
+    <div
+      style={{
+        position: "relative",
+        height: 26,
+        marginTop: 8,
+        borderRadius: 8,
+        background: "#0f172a",
+        border: "1px solid rgba(0,0,0,0.12)",
+        overflow: "hidden",
+      }}
+      aria-label="Session timeline"
+    >
+      {events.map((e) => {
+        const active = e.puckId && e.puckId === selectedPuckId;
+        return (
+          <button
+            key={e.seq}
+            title={`${e.t.toFixed(1)}s: ${describe(e)}`}
+            onClick={() => e.puckId && onSelect(e.puckId)}
+            style={{
+              position: "absolute",
+              left: `${(e.t / span) * 100}%`,
+              top: lane(e.type),
+              width: active ? 6 : 4,
+              height: "35%",
+              padding: 0,
+              border: "none",
+              borderRadius: 2,
+              transform: "translateX(-50%)",
+              background: EVENT_COLORS[e.type],
+              opacity: active ? 1 : 0.75,
+              boxShadow: active ? "0 0 0 2px rgba(255,255,255,0.8)" : "none",
+              cursor: e.puckId ? "pointer" : "default",
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
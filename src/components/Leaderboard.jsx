@@ -0,0 +1,168 @@
+import React, { useMemo, useRef, useState } from "react";
+import Button from "./Button";
+import { filterEntries, isLegacyEntry } from "../storage/leaderboard";
+
+const MAX_ROWS = 100;
+
+// Local leaderboard with preset / date filters; export and import merge boards across kiosks
+export default function Leaderboard({ data, activeProfileId, message, onExport, onImport, onClose }) {
+  const [preset, setPreset] = useState("");
+  const [mode, setMode] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [legacy, setLegacy] = useState(false); // rounds scored before the continuous score, ranked on their own
+  const fileRef = useRef(null);
+
+  const presets = useMemo(() => [...new Set(data.entries.map((e) => e.preset))].sort(), [data]);
+  const modes = useMemo(() => [...new Set(data.entries.map((e) => e.mode ?? "Endless"))].sort(), [data]);
+  const hasLegacy = useMemo(() => data.entries.some(isLegacyEntry), [data]);
+  const rows = useMemo(
+    () => filterEntries(data, { preset, mode, from, to, legacy }).slice(0, MAX_ROWS),
+    [data, preset, mode, from, to, legacy],
+  );
+
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    maxWidth: 820,
+    width: "100%",
+    maxHeight: "90vh",
+    overflow: "auto",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+  };
+  const filterLabel = { fontSize: 13, display: "flex", alignItems: "center", gap: 4 };
+  const table = { borderCollapse: "collapse", fontSize: 12, width: "100%" };
+  const th = {
+    textAlign: "left",
+    padding: "4px 6px",
+    borderBottom: "1px solid rgba(0,0,0,0.15)",
+    whiteSpace: "nowrap",
+  };
+  const td = { padding: "4px 6px", borderBottom: "1px solid rgba(0,0,0,0.06)", whiteSpace: "nowrap" };
+  const num = { ...td, textAlign: "right", fontFamily: "monospace" };
+
+  return (
+    <div style={overlay} onClick={onClose}>
+      <div style={panel} onClick={(e) => e.stopPropagation()}>
+        <div
+          style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}
+        >
+          <div style={{ fontSize: 18, fontWeight: 800 }}>Leaderboard</div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <Button kind="secondary" onClick={onExport}>
+              Export
+            </Button>
+            <Button kind="secondary" onClick={() => fileRef.current?.click()}>
+              Import & merge
+            </Button>
+            <Button onClick={onClose}>Close</Button>
+          </div>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) onImport(file);
+            }}
+          />
+        </div>
+        {message && <div style={{ fontSize: 13, opacity: 0.75, marginTop: 6 }}>{message}</div>}
+
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", margin: "12px 0" }}>
+          <label style={filterLabel}>
+            Preset
+            <select value={preset} onChange={(e) => setPreset(e.target.value)} style={{ fontSize: 13 }}>
+              <option value="">All</option>
+              {presets.map((p) => (
+                <option key={p} value={p}>
+                  {p}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={filterLabel}>
+            Mode
+            <select value={mode} onChange={(e) => setMode(e.target.value)} style={{ fontSize: 13 }}>
+              <option value="">All</option>
+              {modes.map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={filterLabel}>
+            From
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={{ fontSize: 13 }} />
+          </label>
+          <label style={filterLabel}>
+            To
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={{ fontSize: 13 }} />
+          </label>
+          {hasLegacy && (
+            <label style={filterLabel} title="Rounds from before the continuous score used a different scale">
+              Scoring
+              <select
+                value={legacy ? "legacy" : "current"}
+                onChange={(e) => setLegacy(e.target.value === "legacy")}
+                style={{ fontSize: 13 }}
+              >
+                <option value="current">Current</option>
+                <option value="legacy">Old (before the continuous score)</option>
+              </select>
+            </label>
+          )}
+        </div>
+
+        {rows.length === 0 ? (
+          <div style={{ fontSize: 13, opacity: 0.75 }}>No ranked rounds yet. Pick a player in the header to start.</div>
+        ) : (
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={{ ...th, textAlign: "right" }}>#</th>
+                <th style={th}>Player</th>
+                <th style={{ ...th, textAlign: "right" }}>Score</th>
+                <th style={{ ...th, textAlign: "right" }}>Best hold</th>
+                <th style={th}>Mode</th>
+                <th style={th}>Preset</th>
+                <th style={th}>Seed</th>
+                <th style={th}>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((e, i) => (
+                <tr key={e.id} style={{ fontWeight: e.profileId === activeProfileId ? 700 : 400 }}>
+                  <td style={num}>{i + 1}</td>
+                  <td style={td}>{e.player}</td>
+                  <td style={num}>{legacy ? e.legacyScore : e.score}</td>
+                  <td style={num}>{e.holdSeconds.toFixed(1)}s</td>
+                  <td style={td}>{e.mode ?? "Endless"}</td>
+                  <td style={td}>{e.preset}</td>
+                  <td style={{ ...td, fontFamily: "monospace" }}>{e.seed}</td>
+                  <td style={td}>{new Date(e.date).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
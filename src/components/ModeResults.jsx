@@ -0,0 +1,75 @@
+import React from "react";
+import Button from "./Button";
+import { MODES } from "../engine/modes";
+
+// Results screen shown when a mode's win or lose condition fires
+export default function ModeResults({ mode, onPlayAgain, onChangeMode, onDetails }) {
+  const { result } = mode;
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 20,
+    maxWidth: 420,
+    width: "100%",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+    display: "grid",
+    gap: 12,
+    textAlign: "center",
+  };
+  const stat = { display: "flex", justifyContent: "space-between", fontSize: 14 };
+
+  return (
+    <div style={overlay}>
+      <div style={panel}>
+        <div style={{ fontSize: 13, opacity: 0.7 }}>{MODES[mode.id].label}</div>
+        <div style={{ fontSize: 28, fontWeight: 800, color: result.won ? "#15803d" : "#b91c1c" }}>
+          {result.won ? "You win!" : "Round over"}
+        </div>
+        <div style={{ fontSize: 14 }}>{result.reason}</div>
+        <div style={{ display: "grid", gap: 4, textAlign: "left" }}>
+          <div style={stat}>
+            <span>Score</span>
+            <span style={{ fontWeight: 800 }}>{result.score}</span>
+          </div>
+          <div style={stat}>
+            <span>Time</span>
+            <span>{result.time.toFixed(1)}s</span>
+          </div>
+          <div style={stat}>
+            <span>Best hold</span>
+            <span>{result.bestHoldSeconds.toFixed(1)}s</span>
+          </div>
+          {mode.id === "levels" && (
+            <div style={stat}>
+              <span>Level reached</span>
+              <span>
+                {result.level}/{mode.options.levels}
+              </span>
+            </div>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+          <Button kind="outline" onClick={onDetails}>
+            Round details
+          </Button>
+          <Button kind="secondary" onClick={onChangeMode}>
+            Change mode
+          </Button>
+          <Button onClick={onPlayAgain}>Play again</Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import Button from "./Button";
+import { MODES, MODE_OPTION_FIELDS, modeRules } from "../engine/modes";
+
+// Start screen: pick a mode, read its rules and tweak its options; starting begins a fresh round
+export default function ModeStart({ initial, onStart, onClose }) {
+  const [id, setId] = useState(initial.id);
+  const [options, setOptions] = useState(() => ({ ...MODES[initial.id].options, ...initial.options }));
+
+  const pick = (next) => {
+    setId(next);
+    setOptions(next === initial.id ? { ...MODES[next].options, ...initial.options } : { ...MODES[next].options });
+  };
+  const rules = modeRules(id, options);
+
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    maxWidth: 640,
+    width: "100%",
+    maxHeight: "90vh",
+    overflow: "auto",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+    display: "grid",
+    gap: 12,
+  };
+  const tab = (active) => ({
+    flex: "1 1 120px",
+    padding: "10px 12px",
+    borderRadius: 12,
+    cursor: "pointer",
+    textAlign: "left",
+    fontSize: 14,
+    fontWeight: 800,
+    border: active ? "2px solid #111827" : "1px solid rgba(0,0,0,0.15)",
+    background: active ? "rgba(17,24,39,0.05)" : "#fff",
+  });
+  const label = { fontSize: 13, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 };
+
+  return (
+    <div style={overlay} onClick={onClose}>
+      <div style={panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ fontSize: 18, fontWeight: 800 }}>Choose a mode</div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {Object.entries(MODES).map(([key, m]) => (
+            <button key={key} type="button" style={tab(key === id)} onClick={() => pick(key)}>
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        <div style={{ fontSize: 14 }}>{MODES[id].blurb}</div>
+        <div style={{ fontSize: 13, display: "grid", gap: 4 }}>
+          <div>
+            <span style={{ fontWeight: 800, color: "#15803d" }}>Win:</span> {rules.win}
+          </div>
+          <div>
+            <span style={{ fontWeight: 800, color: "#b91c1c" }}>Lose:</span> {rules.lose}
+          </div>
+        </div>
+
+        {Object.keys(options).length > 0 && (
+          <div style={{ display: "grid", gap: 6 }}>
+            {Object.entries(options).map(([key, value]) => {
+              const f = MODE_OPTION_FIELDS[key];
+              return (
+                <label key={key} style={label}>
+                  {f.label}
+                  <input
+                    type="number"
+                    min={f.min}
+                    max={f.max}
+                    step={f.step}
+                    value={value}
+                    onChange={(e) => setOptions({ ...options, [key]: e.target.value })}
+                    style={{ width: 90, fontSize: 13 }}
+                  />
+                </label>
+              );
+            })}
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <Button kind="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={() => onStart({ id, options })}>Start {MODES[id].label}</Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import Button from "./Button";
+
+// Who is playing: rounds are only added to the leaderboard while a player is selected
+export default function ProfilePicker({ profiles, activeId, onSelect, onCreate }) {
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState("");
+
+  if (adding) {
+    const submit = () => {
+      if (name.trim()) onCreate(name);
+      setName("");
+      setAdding(false);
+    };
+    return (
+      <span style={{ display: "flex", alignItems: "center", gap: 4 }}>
+        <input
+          autoFocus
+          value={name}
+          placeholder="Player name"
+          maxLength={40}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submit();
+            if (e.key === "Escape") setAdding(false);
+          }}
+          style={{ fontSize: 13, width: 120 }}
+        />
+        <Button kind="secondary" onClick={submit}>
+          Add
+        </Button>
+      </span>
+    );
+  }
+
+  return (
+    <select
+      value={activeId ?? ""}
+      onChange={(e) => (e.target.value === "__new" ? setAdding(true) : onSelect(e.target.value || null))}
+      style={{ fontSize: 13 }}
+      title="Player"
+    >
+      <option value="">Guest (not ranked)</option>
+      {profiles.map((p) => (
+        <option key={p.id} value={p.id}>
+          {p.name}
+        </option>
+      ))}
+      <option value="__new">New player…</option>
+    </select>
+  );
+}
@@ -0,0 +1,71 @@
+import React from "react";
+import { PERSONALITY_KEYS, puckName } from "../engine/roster";
+import { ARCHETYPES } from "../engine/social";
+
+const ZONE_NAMES = { target: "Target", improve: "Improvement band", between: "Between bands" };
+
+// Live stats for one puck, anchored next to it on the board
+export default function PuckDetails({ puck, where, cfg, onClose }) {
+  const leftPct = (puck.x / cfg.boardW) * 100;
+  const topPct = (puck.y / cfg.boardH) * 100;
+  const flip = leftPct > 60;
+  const speed = Math.hypot(puck.vx, puck.vy);
+  const zoneText = where.kind === "negative" ? where.zone.text : ZONE_NAMES[where.kind];
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: `${leftPct}%`,
+        top: `${topPct}%`,
+        transform: `translate(${flip ? "calc(-100% - 24px)" : "24px"}, -50%)`,
+        minWidth: 180,
+        padding: "8px 10px",
+        borderRadius: 10,
+        background: "rgba(15,23,42,0.92)",
+        color: "rgba(226,232,240,0.95)",
+        border: "1px solid rgba(255,255,255,0.16)",
+        fontSize: 12,
+        zIndex: 5,
+      }}
+      onPointerDown={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 8, alignItems: "center" }}>
+        <span style={{ fontWeight: 800, display: "flex", alignItems: "center", gap: 6 }}>
+          <span style={{ width: 10, height: 10, borderRadius: 999, background: `hsl(${puck.hue} 85% 55%)` }} />
+          {puckName(puck)}
+        </span>
+        <button
+          onClick={onClose}
+          style={{ background: "transparent", border: "none", color: "inherit", cursor: "pointer", fontSize: 14 }}
+          aria-label="Close details"
+        >
+          ✕
+        </button>
+      </div>
+      {puck.category && <div style={{ opacity: 0.75 }}>{puck.category}</div>}
+      {(puck.leader || puck.archetype) && (
+        <div style={{ opacity: 0.75 }}>
+          {puck.leader ? "Crew leader" : ARCHETYPES[puck.archetype].label}
+          {puck.leaderId && ` of ${puck.leaderId}`}
+        </div>
+      )}
+      <div style={{ marginTop: 6 }}>Zone: {zoneText}</div>
+      <div>Speed: {speed.toFixed(0)} px/s</div>
+      <div>
+        Size: {puck.radius.toFixed(0)} px • mass {puck.mass.toFixed(2)}
+      </div>
+      {puck.escalation > 0 && (
+        <div style={{ color: "#b91c1c", fontWeight: 700 }}>Escalated ×{puck.escalation} (stuck in a negative zone)</div>
+      )}
+      <div style={{ marginTop: 6, display: "grid", gridTemplateColumns: "auto auto", columnGap: 10, opacity: 0.85 }}>
+        {PERSONALITY_KEYS.map((k) => (
+          <React.Fragment key={k}>
+            <span>{k}</span>
+            <span style={{ fontFamily: "monospace", textAlign: "right" }}>{puck[k].toFixed(2)}</span>
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import Button from "./Button";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export default function ReplayControls({ recording, frame, playing, speed, onTogglePlay, onSeek, onSpeed, onExit }) {
+  const total = recording.frames.length;
+  const row = { display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginTop: 12, fontSize: 13 };
+
+  return (
+    <div style={row}>
+      <span style={{ fontWeight: 800 }}>Replay</span>
+      <span style={{ opacity: 0.75 }}>
+        Seed {recording.seed} • best hold {recording.holdSeconds.toFixed(1)}s
+      </span>
+      <Button kind={playing ? "secondary" : "default"} onClick={onTogglePlay}>
+        {playing ? "Pause" : "Play"}
+      </Button>
+      <input
+        type="range"
+        min={0}
+        max={total}
+        value={frame}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        style={{ flex: 1, minWidth: 160 }}
+      />
+      <span style={{ fontFamily: "monospace", opacity: 0.75 }}>
+        {frame}/{total}
+      </span>
+      <select value={speed} onChange={(e) => onSpeed(Number(e.target.value))} style={{ fontSize: 13 }}>
+        {SPEEDS.map((s) => (
+          <option key={s} value={s}>
+            {s}x
+          </option>
+        ))}
+      </select>
+      <Button kind="outline" onClick={onExit}>
+        Back to live
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React, { useRef } from "react";
+import Button from "./Button";
+
+// Import a CSV/JSON roster of names; applies from the next round
+export default function RosterControls({ roster, message, onImport, onClear }) {
+  const fileRef = useRef(null);
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 13 }}>
+      <span style={{ fontWeight: 800 }}>Roster</span>
+      <span style={{ opacity: 0.75 }}>{roster ? `${roster.length} names` : "Anonymous pucks"}</span>
+      <Button kind="secondary" onClick={() => fileRef.current?.click()}>
+        Import CSV/JSON
+      </Button>
+      {roster && (
+        <Button kind="outline" onClick={onClear}>
+          Clear
+        </Button>
+      )}
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = "";
+          if (file) onImport(file);
+        }}
+      />
+      {message && <span style={{ opacity: 0.75 }}>{message}</span>}
+    </div>
+  );
+}
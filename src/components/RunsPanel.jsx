@@ -0,0 +1,38 @@
+import React from "react";
+import Button from "./Button";
+
+// Recent rounds and per-seed personal bests, each watchable as a replay
+export default function RunsPanel({ runs, onWatch }) {
+  const bests = Object.values(runs.best).sort((a, b) => b.holdSeconds - a.holdSeconds);
+  if (runs.recent.length === 0 && bests.length === 0) return null;
+
+  const list = { display: "grid", gap: 6, marginTop: 6 };
+  const item = { display: "flex", alignItems: "center", gap: 10, fontSize: 13 };
+
+  const renderRun = (r) => (
+    <div key={r.id} style={item}>
+      <span style={{ opacity: 0.75 }}>{new Date(r.createdAt).toLocaleString()}</span>
+      <span>
+        Seed <span style={{ fontFamily: "monospace" }}>{r.seed}</span>
+      </span>
+      <span>Hold {r.holdSeconds.toFixed(1)}s</span>
+      <span style={{ opacity: 0.75 }}>{r.duration.toFixed(0)}s long</span>
+      <Button kind="secondary" onClick={() => onWatch(r)}>
+        Watch
+      </Button>
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: 12, display: "flex", gap: 24, flexWrap: "wrap" }}>
+      <div>
+        <div style={{ fontSize: 13, fontWeight: 800 }}>Recent rounds</div>
+        <div style={list}>{runs.recent.map(renderRun)}</div>
+      </div>
+      <div>
+        <div style={{ fontSize: 13, fontWeight: 800 }}>Personal bests</div>
+        <div style={list}>{bests.map(renderRun)}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,304 @@
+import React from "react";
+import Button from "./Button";
+import { STICK_COLORS } from "../engine/sticks";
+
+const secs = (v) => `${v.toFixed(1)}s`;
+const points = (v) => (v > 0 ? `+${Math.round(v)}` : String(Math.round(v)));
+const pct = (v, total) => (total > 0 ? `${Math.round((v / total) * 100)}%` : "–");
+
+// Post-round report: score by source, per-puck time by zone, negative-zone entries, stick touches and zone totals
+// (per stick, with versus scores, when more than one player took part), stick tool usage, the disruptions that hit
+// and, with the puck lifecycle on, throughput and completion latency
+export default function SessionSummary({ summary, meta, onExportPucks, onExportZones, onExportJson, onClose }) {
+  const overlay = {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(15,23,42,0.45)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 30,
+    padding: 16,
+  };
+  const panel = {
+    background: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    maxWidth: 1000,
+    width: "100%",
+    maxHeight: "90vh",
+    overflow: "auto",
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    boxShadow: "0 20px 50px rgba(0,0,0,0.25)",
+  };
+  const table = { borderCollapse: "collapse", fontSize: 12, width: "100%" };
+  const th = {
+    textAlign: "left",
+    padding: "4px 6px",
+    borderBottom: "1px solid rgba(0,0,0,0.15)",
+    whiteSpace: "nowrap",
+  };
+  const td = { padding: "4px 6px", borderBottom: "1px solid rgba(0,0,0,0.06)", whiteSpace: "nowrap" };
+  const num = { ...td, textAlign: "right", fontFamily: "monospace" };
+  // Every puck's time on the board (pucks can come and go mid-round, see lifecycle.js)
+  const { bands } = summary;
+  const puckSeconds = bands.improve + bands.between + bands.target + summary.zones.reduce((a, z) => a + z.time, 0);
+  const life = summary.lifecycle;
+  const flow = life && (life.arrived || life.completed || life.escalated);
+  const done = summary.pucks.some((r) => r.completedAfter != null);
+
+  return (
+    <div style={overlay}>
+      <div style={panel}>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "flex-start",
+            gap: 12,
+            flexWrap: "wrap",
+          }}
+        >
+          <div>
+            <div style={{ fontSize: 18, fontWeight: 800 }}>Round summary</div>
+            <div style={{ fontSize: 13, opacity: 0.75, marginTop: 2 }}>
+              {secs(summary.duration)} • seed {meta.seed} • best hold {secs(meta.bestHoldSeconds)} • {summary.touches}{" "}
+              stick touches
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <Button kind="secondary" onClick={onExportPucks}>
+              Pucks CSV
+            </Button>
+            <Button kind="secondary" onClick={onExportZones}>
+              Zones CSV
+            </Button>
+            <Button kind="secondary" onClick={onExportJson}>
+              JSON
+            </Button>
+            <Button onClick={onClose}>New round</Button>
+          </div>
+        </div>
+
+        <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>
+          Score: {Math.round(summary.score.total)}
+        </div>
+        <table style={table}>
+          <thead>
+            <tr>
+              <th style={th}>Source</th>
+              <th style={{ ...th, textAlign: "right" }}>Severity</th>
+              <th style={{ ...th, textAlign: "right" }}>Points</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.score.rows.map((r) => (
+              <tr key={r.id}>
+                <td style={td}>{r.label}</td>
+                <td style={num}>{r.severity ?? ""}</td>
+                <td style={{ ...num, color: r.points < 0 ? "#b91c1c" : undefined }}>{points(r.points)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {(summary.sticks.length > 1 || summary.versus) && (
+          <>
+            <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>Players</div>
+            <table style={table}>
+              <thead>
+                <tr>
+                  <th style={th}>Stick</th>
+                  <th style={{ ...th, textAlign: "right" }}>Touches</th>
+                  <th style={{ ...th, textAlign: "right" }}>Push time</th>
+                  {summary.versus && <th style={{ ...th, textAlign: "right" }}>Versus score</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {Array.from({ length: Math.max(summary.sticks.length, summary.versus?.players ?? 0) }, (_, slot) => (
+                  <tr key={slot}>
+                    <td style={td}>
+                      <span
+                        style={{
+                          display: "inline-block",
+                          width: 10,
+                          height: 10,
+                          marginRight: 6,
+                          borderRadius: 999,
+                          background: STICK_COLORS[slot],
+                          border: "1px solid rgba(0,0,0,0.25)",
+                        }}
+                      />
+                      Player {slot + 1}
+                    </td>
+                    <td style={num}>{summary.sticks[slot]?.touches ?? 0}</td>
+                    <td style={num}>{secs(summary.sticks[slot]?.pushSeconds ?? 0)}</td>
+                    {summary.versus && <td style={num}>{Math.round(summary.versus.scores[slot] ?? 0)}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {summary.tools?.some((t) => t.uses || t.blocked) && (
+          <>
+            <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>Tools</div>
+            <table style={table}>
+              <thead>
+                <tr>
+                  <th style={th}>Tool</th>
+                  <th style={{ ...th, textAlign: "right" }}>Uses</th>
+                  <th style={{ ...th, textAlign: "right" }}>Time held</th>
+                  <th style={{ ...th, textAlign: "right" }}>Pucks lassoed</th>
+                  <th style={{ ...th, textAlign: "right" }}>Blocked by cooldown</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.tools.map((t) => (
+                  <tr key={t.id}>
+                    <td style={td}>{t.label}</td>
+                    <td style={num}>{t.uses}</td>
+                    <td style={num}>{secs(t.seconds)}</td>
+                    <td style={num}>{t.id === "lasso" ? t.pucks : ""}</td>
+                    <td style={num}>{t.id === "push" ? "" : t.blocked}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {summary.disruptions?.length > 0 && (
+          <>
+            <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>Disruptions</div>
+            <table style={table}>
+              <thead>
+                <tr>
+                  <th style={{ ...th, textAlign: "right" }}>Time</th>
+                  <th style={th}>Disruption</th>
+                  <th style={th}>Zone</th>
+                  <th style={{ ...th, textAlign: "right" }}>Lasted</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.disruptions.map((d, i) => (
+                  <tr key={i}>
+                    <td style={num}>{secs(d.t)}</td>
+                    <td style={td}>{d.label}</td>
+                    <td style={td}>{d.zone}</td>
+                    <td style={num}>{d.seconds > 0 ? secs(d.seconds) : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {flow && (
+          <>
+            <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>Flow</div>
+            <table style={table}>
+              <tbody>
+                {[
+                  ["Completed", life.completed],
+                  [
+                    "Throughput",
+                    `${(summary.duration > 0 ? life.completed / (summary.duration / 60) : 0).toFixed(1)}/min`,
+                  ],
+                  ["Average completion latency", life.completed ? secs(life.latencySum / life.completed) : "–"],
+                  ["Longest completion latency", life.completed ? secs(life.latencyMax) : "–"],
+                  ["Arrived", life.arrived],
+                  ["Escalations", life.escalated],
+                  ["Backlog at the end", life.backlog],
+                ].map(([label, value]) => (
+                  <tr key={label}>
+                    <td style={td}>{label}</td>
+                    <td style={num}>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>Zones</div>
+        <table style={table}>
+          <thead>
+            <tr>
+              <th style={th}>Zone</th>
+              <th style={{ ...th, textAlign: "right" }}>Puck-seconds</th>
+              <th style={{ ...th, textAlign: "right" }}>Share</th>
+              <th style={{ ...th, textAlign: "right" }}>Entries</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.zones.map((z) => (
+              <tr key={z.id}>
+                <td style={td}>{z.text}</td>
+                <td style={num}>{secs(z.time)}</td>
+                <td style={num}>{pct(z.time, puckSeconds)}</td>
+                <td style={num}>{z.entries}</td>
+              </tr>
+            ))}
+            {[
+              ["Improvement band", summary.bands.improve],
+              ["Between bands", summary.bands.between],
+              ["Target", summary.bands.target],
+            ].map(([label, time]) => (
+              <tr key={label}>
+                <td style={td}>{label}</td>
+                <td style={num}>{secs(time)}</td>
+                <td style={num}>{pct(time, puckSeconds)}</td>
+                <td style={num} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ fontSize: 13, fontWeight: 800, margin: "14px 0 6px" }}>Pucks</div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Name</th>
+                <th style={th}>Category</th>
+                <th style={{ ...th, textAlign: "right" }}>Target</th>
+                <th style={{ ...th, textAlign: "right" }}>Improvement</th>
+                {summary.zones.map((z) => (
+                  <th key={z.id} style={{ ...th, textAlign: "right" }}>
+                    {z.text}
+                  </th>
+                ))}
+                <th style={{ ...th, textAlign: "right" }}>Touches</th>
+                {done && <th style={{ ...th, textAlign: "right" }}>Done after</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {summary.pucks.map((r) => (
+                <tr key={r.id}>
+                  <td style={td}>{r.name}</td>
+                  <td style={td}>
+                    {r.category}
+                    {r.role && <span style={{ opacity: 0.6 }}> {r.role}</span>}
+                  </td>
+                  <td style={num}>{secs(r.targetTime)}</td>
+                  <td style={num}>{secs(r.improveTime)}</td>
+                  {summary.zones.map((z) => (
+                    <td key={z.id} style={num} title={`${r.negEntries[z.id]} entries`}>
+                      {secs(r.negTime[z.id])} / {r.negEntries[z.id]}×
+                    </td>
+                  ))}
+                  <td style={num}>{r.touches}</td>
+                  {done && <td style={num}>{r.completedAfter == null ? "" : secs(r.completedAfter)}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ fontSize: 12, opacity: 0.65, marginTop: 6 }}>Negative zone cells show time / entries.</div>
+      </div>
+    </div>
+  );
+}
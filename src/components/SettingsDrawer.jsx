@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from "react";
+import Button from "./Button";
+import { CONFIG_FIELDS, validateConfig } from "../engine/config";
+
+const GROUPS = [...new Set(CONFIG_FIELDS.map((f) => f.group))];
+
+function SettingsField({ field, settings, onChange }) {
+  const value = settings[field.key];
+  const [text, setText] = useState(String(value));
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    setText(String(value));
+    setError(null);
+  }, [value]);
+
+  function commit(raw) {
+    setText(raw);
+    const { cfg, errors } = validateConfig({ [field.key]: raw }, settings);
+    if (errors[field.key]) {
+      setError(errors[field.key]);
+      return;
+    }
+    setError(null);
+    onChange(cfg);
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 2 }}>
+      <label style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+        <span>{field.label}</span>
+        {!field.live && <span style={{ opacity: 0.6 }}>on reset</span>}
+      </label>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="range"
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          value={value}
+          onChange={(e) => commit(e.target.value)}
+          style={{ flex: 1 }}
+        />
+        <input
+          type="number"
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          value={text}
+          onChange={(e) => commit(e.target.value)}
+          style={{ width: 76, fontSize: 12, borderColor: error ? "#dc2626" : undefined }}
+        />
+      </div>
+      {error && <div style={{ fontSize: 11, color: "#dc2626" }}>{error}</div>}
+    </div>
+  );
+}
+
+// Side drawer for every DEFAULTS field plus named presets
+export default function SettingsDrawer({
+  open,
+  onClose,
+  settings,
+  presetName,
+  presets,
+  isBuiltin,
+  pending,
+  message,
+  onChange,
+  onSelectPreset,
+  onSavePreset,
+  onDeletePreset,
+  onExport,
+  onImport,
+  onApplyReset,
+}) {
+  const [saveName, setSaveName] = useState("");
+  const fileRef = useRef(null);
+  if (!open) return null;
+
+  const drawer = {
+    position: "fixed",
+    top: 0,
+    right: 0,
+    bottom: 0,
+    width: 340,
+    maxWidth: "100%",
+    overflowY: "auto",
+    background: "#fff",
+    borderLeft: "1px solid rgba(0,0,0,0.12)",
+    boxShadow: "-10px 0 30px rgba(0,0,0,0.12)",
+    padding: 16,
+    zIndex: 20,
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    display: "grid",
+    gap: 14,
+    alignContent: "start",
+  };
+  const section = { display: "grid", gap: 8 };
+  const heading = { fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: "0.08em", opacity: 0.7 };
+
+  return (
+    <div style={drawer}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 16, fontWeight: 800 }}>Settings</div>
+        <Button kind="outline" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Preset</div>
+        <select
+          value={presetName ?? ""}
+          onChange={(e) => e.target.value && onSelectPreset(e.target.value)}
+          style={{ fontSize: 13 }}
+        >
+          {presetName == null && <option value="">Custom</option>}
+          {Object.keys(presets).map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          <input
+            value={saveName}
+            placeholder="Preset name"
+            onChange={(e) => setSaveName(e.target.value)}
+            style={{ flex: 1, fontSize: 13, minWidth: 120 }}
+          />
+          <Button
+            kind="secondary"
+            onClick={() => {
+              if (saveName.trim()) onSavePreset(saveName.trim());
+              setSaveName("");
+            }}
+          >
+            Save
+          </Button>
+        </div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {presetName && !isBuiltin(presetName) && (
+            <Button kind="outline" onClick={() => onDeletePreset(presetName)}>
+              Delete
+            </Button>
+          )}
+          <Button kind="outline" onClick={onExport}>
+            Export JSON
+          </Button>
+          <Button kind="outline" onClick={() => fileRef.current?.click()}>
+            Import JSON
+          </Button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            style={{ display: "none" }}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) onImport(file);
+            }}
+          />
+        </div>
+        {message && <div style={{ fontSize: 12, opacity: 0.8 }}>{message}</div>}
+      </div>
+
+      {pending.length > 0 && (
+        <div
+          style={{
+            display: "flex",
+            gap: 8,
+            alignItems: "center",
+            justifyContent: "space-between",
+            fontSize: 12,
+            padding: 8,
+            borderRadius: 8,
+            background: "rgba(234,179,8,0.15)",
+          }}
+        >
+          <span>{pending.length} change(s) apply on reset</span>
+          <Button onClick={onApplyReset}>Reset now</Button>
+        </div>
+      )}
+
+      {GROUPS.map((group) => (
+        <div key={group} style={section}>
+          <div style={heading}>{group}</div>
+          {CONFIG_FIELDS.filter((f) => f.group === group).map((f) => (
+            <SettingsField key={f.key} field={f} settings={settings} onChange={onChange} />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
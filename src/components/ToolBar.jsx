@@ -0,0 +1,23 @@
+import React from "react";
+import Button from "./Button";
+import { TOOLS, TOOL_IDS } from "../engine/tools";
+
+// Stick tool switcher above the board; a tool that is recharging shows its seconds left
+export default function ToolBar({ tool, cooldowns, keyHint, onSelect }) {
+  return (
+    <div
+      role="toolbar"
+      aria-label="Stick tool"
+      style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginBottom: 8, fontSize: 13 }}
+    >
+      <span style={{ opacity: 0.7 }}>Tool ({keyHint} to switch):</span>
+      {TOOL_IDS.map((id) => (
+        <Button key={id} kind={tool === id ? "default" : "outline"} onClick={() => onSelect(id)}>
+          {TOOLS[id].glyph && <span style={{ fontWeight: 800, marginRight: 4 }}>{TOOLS[id].glyph}</span>}
+          {TOOLS[id].label}
+          {cooldowns[id] > 0 && <span style={{ opacity: 0.7 }}> • {cooldowns[id].toFixed(1)}s</span>}
+        </Button>
+      ))}
+    </div>
+  );
+}
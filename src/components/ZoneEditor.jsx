@@ -0,0 +1,474 @@
+import React, { useEffect, useState } from "react";
+import Button from "./Button";
+import { DEFAULT_LAYOUT, MAX_NEG_ZONES, MAX_OBSTACLES, normalizeLayout } from "../engine/layout";
+import { DISRUPTIONS, DISRUPTION_KINDS, MAX_SCRIPTED_DISRUPTIONS } from "../engine/disruptions";
+
+const small = { fontSize: 12 };
+const numInput = { width: 56, fontSize: 12 };
+
+function MultInputs({ value, onChange }) {
+  return (
+    <>
+      <label style={small} title="Wander multiplier">
+        W{" "}
+        <input
+          type="number"
+          min={0}
+          max={5}
+          step={0.05}
+          value={value.wanderMult}
+          onChange={(e) => onChange({ wanderMult: Number(e.target.value) })}
+          style={numInput}
+        />
+      </label>
+      <label style={small} title="Jitter multiplier">
+        J{" "}
+        <input
+          type="number"
+          min={0}
+          max={5}
+          step={0.05}
+          value={value.jitterMult}
+          onChange={(e) => onChange({ jitterMult: Number(e.target.value) })}
+          style={numInput}
+        />
+      </label>
+      <input type="color" value={value.color} onChange={(e) => onChange({ color: e.target.value })} />
+    </>
+  );
+}
+
+// Starting shapes when a zone, obstacle or target switches kind (fractions of the board, see layout.js)
+const NEW_SHAPES = {
+  rect: { kind: "rect", x: 0.4, y: 0.35, w: 0.15, h: 0.3 },
+  circle: { kind: "circle", x: 0.5, y: 0.5, r: 0.12 },
+};
+
+// Position and size of a rectangle or circle, in % of the board
+function ShapeInputs({ shape, onChange }) {
+  const fields =
+    shape.kind === "circle"
+      ? [
+          ["x", "X", "Centre, % of width"],
+          ["y", "Y", "Centre, % of height"],
+          ["r", "R", "Radius, % of height"],
+        ]
+      : [
+          ["x", "X", "Left edge, % of width"],
+          ["y", "Y", "Top edge, % of height"],
+          ["w", "W", "Width, % of width"],
+          ["h", "H", "Height, % of height"],
+        ];
+  return fields.map(([key, label, title]) => (
+    <label key={key} style={small} title={title}>
+      {label}{" "}
+      <input
+        type="number"
+        min={0}
+        max={100}
+        step={1}
+        value={Math.round(shape[key] * 100)}
+        onChange={(e) => onChange({ ...shape, [key]: Number(e.target.value) / 100 })}
+        style={{ ...numInput, width: 46 }}
+      />
+    </label>
+  ));
+}
+
+// Edit, save and apply named board layouts (applying starts a fresh round)
+export default function ZoneEditor({ open, onClose, layouts, activeName, message, onApply, onDelete }) {
+  const [draft, setDraft] = useState(() => layouts[activeName] ?? DEFAULT_LAYOUT);
+  useEffect(() => {
+    if (open) setDraft(layouts[activeName] ?? DEFAULT_LAYOUT);
+  }, [open, activeName, layouts]);
+  if (!open) return null;
+
+  const zones = draft.negativeZones;
+  const setZones = (next) => setDraft({ ...draft, negativeZones: next });
+  const updateZone = (i, patch) => setZones(zones.map((z, j) => (j === i ? { ...z, ...patch } : z)));
+  const moveZone = (i, dir) => {
+    const j = i + dir;
+    if (j < 0 || j >= zones.length) return;
+    const next = zones.slice();
+    [next[i], next[j]] = [next[j], next[i]];
+    setZones(next);
+  };
+  const addZone = () => {
+    const n = zones.length + 1;
+    setZones([
+      ...zones,
+      {
+        id: `neg-${Date.now().toString(36)}`,
+        text: `Zone ${n}`,
+        size: 1,
+        wanderMult: 2,
+        jitterMult: 2,
+        color: "#ef4444",
+        opacity: 0.09,
+        severity: 1,
+      },
+    ]);
+  };
+
+  const obstacles = draft.obstacles ?? [];
+  const setObstacles = (next) => setDraft({ ...draft, obstacles: next.slice(0, MAX_OBSTACLES) });
+  const newId = (i = 0) => `obstacle-${Date.now().toString(36)}${i ? `-${i}` : ""}`;
+  const addPillar = () => setObstacles([...obstacles, { id: newId(), kind: "circle", x: 0.5, y: 0.5, r: 0.06 }]);
+  const addPartition = () =>
+    setObstacles([...obstacles, { id: newId(), kind: "rect", x: 0.5, y: 0.1, w: 0.015, h: 0.5 }]);
+  // Two partitions in one line with a puck-sized opening between them
+  const addGate = () =>
+    setObstacles([
+      ...obstacles,
+      { id: newId(1), kind: "rect", x: 0.5, y: 0, w: 0.015, h: 0.4 },
+      { id: newId(2), kind: "rect", x: 0.5, y: 0.6, w: 0.015, h: 0.4 },
+    ]);
+  const disruptions = draft.disruptions ?? [];
+  const setDisruptions = (next) => setDraft({ ...draft, disruptions: next.slice(0, MAX_SCRIPTED_DISRUPTIONS) });
+  const updateDisruption = (i, patch) => setDisruptions(disruptions.map((d, j) => (j === i ? { ...d, ...patch } : d)));
+  // A new one goes in 30 seconds after the last
+  const addDisruption = () =>
+    setDisruptions([
+      ...disruptions,
+      { at: Math.max(0, ...disruptions.map((d) => d.at)) + 30, kind: "gust", duration: 8, zoneId: null },
+    ]);
+  const targetArea = draft.target.area ?? null;
+
+  const drawer = {
+    position: "fixed",
+    top: 0,
+    right: 0,
+    bottom: 0,
+    width: 460,
+    maxWidth: "100%",
+    overflowY: "auto",
+    background: "#fff",
+    borderLeft: "1px solid rgba(0,0,0,0.12)",
+    boxShadow: "-10px 0 30px rgba(0,0,0,0.12)",
+    padding: 16,
+    zIndex: 20,
+    fontFamily: "Arial, sans-serif",
+    color: "#111827",
+    display: "grid",
+    gap: 14,
+    alignContent: "start",
+  };
+  const section = { display: "grid", gap: 8 };
+  const heading = { fontSize: 12, fontWeight: 800, textTransform: "uppercase", letterSpacing: "0.08em", opacity: 0.7 };
+  const row = { display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" };
+  const isDefault = draft.name === DEFAULT_LAYOUT.name;
+
+  return (
+    <div style={drawer}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 16, fontWeight: 800 }}>Zone editor</div>
+        <Button kind="outline" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Board configuration</div>
+        <div style={row}>
+          <select
+            value={layouts[draft.name] ? draft.name : ""}
+            onChange={(e) => layouts[e.target.value] && setDraft(layouts[e.target.value])}
+            style={{ fontSize: 13 }}
+          >
+            {!layouts[draft.name] && <option value="">(unsaved)</option>}
+            {Object.keys(layouts).map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <input
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Layout name"
+            style={{ flex: 1, fontSize: 13, minWidth: 120 }}
+          />
+        </div>
+        <div style={row}>
+          <Button onClick={() => onApply(normalizeLayout(draft))}>{isDefault ? "Apply" : "Save & apply"}</Button>
+          {!isDefault && layouts[draft.name] && (
+            <Button kind="outline" onClick={() => onDelete(draft.name)}>
+              Delete
+            </Button>
+          )}
+          <span style={{ ...small, opacity: 0.7 }}>Applying starts a new round.</span>
+        </div>
+        {message && <div style={{ ...small, opacity: 0.8 }}>{message}</div>}
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Bands (% of board width)</div>
+        <div style={row}>
+          <label style={small}>
+            Negative ends at{" "}
+            <input
+              type="number"
+              min={0}
+              max={60}
+              step={1}
+              value={Math.round(draft.negativeEnd * 100)}
+              onChange={(e) => setDraft({ ...draft, negativeEnd: Number(e.target.value) / 100 })}
+              style={numInput}
+            />
+          </label>
+          <label style={small}>
+            Improvement ends at{" "}
+            <input
+              type="number"
+              min={0}
+              max={80}
+              step={1}
+              value={Math.round(draft.improveEnd * 100)}
+              onChange={(e) => setDraft({ ...draft, improveEnd: Number(e.target.value) / 100 })}
+              style={numInput}
+            />
+          </label>
+        </div>
+        <div style={{ ...small, opacity: 0.7 }}>Target zone width is under Settings.</div>
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Negative zones (strips left to right)</div>
+        {zones.map((z, i) => (
+          <div key={z.id} style={{ ...row, paddingBottom: 6, borderBottom: "1px solid rgba(0,0,0,0.06)" }}>
+            <input
+              value={z.text}
+              onChange={(e) => updateZone(i, { text: e.target.value })}
+              style={{ flex: 1, minWidth: 120, fontSize: 12 }}
+            />
+            {!z.shape && (
+              <label style={small} title="Relative width inside the negative band">
+                Size{" "}
+                <input
+                  type="number"
+                  min={0.1}
+                  max={10}
+                  step={0.1}
+                  value={z.size}
+                  onChange={(e) => updateZone(i, { size: Number(e.target.value) })}
+                  style={numInput}
+                />
+              </label>
+            )}
+            <select
+              value={z.shape?.kind ?? "strip"}
+              onChange={(e) => updateZone(i, { shape: NEW_SHAPES[e.target.value] ?? null })}
+              style={small}
+              title="A band strip, or a shape placed anywhere on the board"
+            >
+              <option value="strip">Band strip</option>
+              <option value="rect">Rectangle</option>
+              <option value="circle">Circle</option>
+            </select>
+            {z.shape && <ShapeInputs shape={z.shape} onChange={(shape) => updateZone(i, { shape })} />}
+            <label style={small} title="Score penalty multiplier while a puck sits here">
+              Sev{" "}
+              <input
+                type="number"
+                min={0}
+                max={10}
+                step={0.5}
+                value={z.severity}
+                onChange={(e) => updateZone(i, { severity: Number(e.target.value) })}
+                style={numInput}
+              />
+            </label>
+            <MultInputs value={z} onChange={(patch) => updateZone(i, patch)} />
+            <Button kind="outline" onClick={() => moveZone(i, -1)}>
+              ↑
+            </Button>
+            <Button kind="outline" onClick={() => moveZone(i, 1)}>
+              ↓
+            </Button>
+            <Button kind="outline" onClick={() => setZones(zones.filter((_, j) => j !== i))}>
+              ✕
+            </Button>
+          </div>
+        ))}
+        {zones.length < MAX_NEG_ZONES && (
+          <div>
+            <Button kind="secondary" onClick={addZone}>
+              Add zone
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Obstacles</div>
+        {obstacles.map((o, i) => (
+          <div key={o.id} style={{ ...row, paddingBottom: 6, borderBottom: "1px solid rgba(0,0,0,0.06)" }}>
+            <select
+              value={o.kind}
+              onChange={(e) =>
+                setObstacles(obstacles.map((q, j) => (j === i ? { id: q.id, ...NEW_SHAPES[e.target.value] } : q)))
+              }
+              style={small}
+            >
+              <option value="rect">Rectangle</option>
+              <option value="circle">Circle</option>
+            </select>
+            <ShapeInputs
+              shape={o}
+              onChange={(shape) => setObstacles(obstacles.map((q, j) => (j === i ? { ...shape, id: q.id } : q)))}
+            />
+            <Button kind="outline" onClick={() => setObstacles(obstacles.filter((_, j) => j !== i))}>
+              ✕
+            </Button>
+          </div>
+        ))}
+        {obstacles.length < MAX_OBSTACLES && (
+          <div style={row}>
+            <Button kind="secondary" onClick={addPillar}>
+              Add pillar
+            </Button>
+            <Button kind="secondary" onClick={addPartition}>
+              Add partition
+            </Button>
+            {obstacles.length + 2 <= MAX_OBSTACLES && (
+              <Button kind="secondary" onClick={addGate}>
+                Add gate
+              </Button>
+            )}
+          </div>
+        )}
+        <div style={{ ...small, opacity: 0.7 }}>Pucks bounce off obstacles; your stick passes over them.</div>
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Scripted disruptions</div>
+        {disruptions.map((d, i) => (
+          <div key={i} style={{ ...row, paddingBottom: 6, borderBottom: "1px solid rgba(0,0,0,0.06)" }}>
+            <label style={small} title="Seconds into the round">
+              At{" "}
+              <input
+                type="number"
+                min={0}
+                max={36000}
+                step={1}
+                value={d.at}
+                onChange={(e) => updateDisruption(i, { at: Number(e.target.value) })}
+                style={numInput}
+              />
+            </label>
+            <select
+              value={d.kind}
+              onChange={(e) => updateDisruption(i, { kind: e.target.value, zoneId: null })}
+              style={small}
+              title={DISRUPTIONS[d.kind]?.blurb}
+            >
+              {DISRUPTION_KINDS.map((k) => (
+                <option key={k} value={k}>
+                  {DISRUPTIONS[k].label}
+                </option>
+              ))}
+            </select>
+            {d.kind !== "arrival" && (
+              <label style={small} title="How many seconds it lasts">
+                For{" "}
+                <input
+                  type="number"
+                  min={1}
+                  max={600}
+                  step={1}
+                  value={d.duration}
+                  onChange={(e) => updateDisruption(i, { duration: Number(e.target.value) })}
+                  style={numInput}
+                />
+              </label>
+            )}
+            {d.kind === "zone" && (
+              <select
+                value={d.zoneId ?? ""}
+                onChange={(e) => updateDisruption(i, { zoneId: e.target.value || null })}
+                style={small}
+                title="Which negative zone grows"
+              >
+                <option value="">Any zone</option>
+                {zones.map((z) => (
+                  <option key={z.id} value={z.id}>
+                    {z.text}
+                  </option>
+                ))}
+              </select>
+            )}
+            <Button kind="outline" onClick={() => setDisruptions(disruptions.filter((_, j) => j !== i))}>
+              ✕
+            </Button>
+          </div>
+        ))}
+        {disruptions.length < MAX_SCRIPTED_DISRUPTIONS && (
+          <div style={row}>
+            <Button kind="secondary" onClick={addDisruption}>
+              Add disruption
+            </Button>
+          </div>
+        )}
+        <div style={{ ...small, opacity: 0.7 }}>
+          Each one is announced on the board a few seconds ahead. Random ones are set under Config → Disruptions.
+        </div>
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Improvement band</div>
+        <input
+          value={draft.improve.text}
+          onChange={(e) => setDraft({ ...draft, improve: { ...draft.improve, text: e.target.value } })}
+          style={{ fontSize: 12 }}
+        />
+        <div style={row}>
+          <MultInputs
+            value={draft.improve}
+            onChange={(patch) => setDraft({ ...draft, improve: { ...draft.improve, ...patch } })}
+          />
+        </div>
+      </div>
+
+      <div style={section}>
+        <div style={heading}>Target zone</div>
+        <div style={row}>
+          <select
+            value={targetArea?.kind ?? "strip"}
+            onChange={(e) =>
+              setDraft({ ...draft, target: { ...draft.target, area: NEW_SHAPES[e.target.value] ?? null } })
+            }
+            style={small}
+          >
+            <option value="strip">Right edge strip</option>
+            <option value="rect">Rectangle anywhere</option>
+            <option value="circle">Circle anywhere</option>
+          </select>
+          {targetArea && (
+            <ShapeInputs
+              shape={targetArea}
+              onChange={(area) => setDraft({ ...draft, target: { ...draft.target, area } })}
+            />
+          )}
+        </div>
+        <input
+          value={draft.target.text}
+          onChange={(e) => setDraft({ ...draft, target: { ...draft.target, text: e.target.value } })}
+          style={{ fontSize: 12 }}
+        />
+        <textarea
+          rows={4}
+          value={draft.target.labels.join("\n")}
+          onChange={(e) => setDraft({ ...draft, target: { ...draft.target, labels: e.target.value.split("\n") } })}
+          style={{ fontSize: 12 }}
+          title="One label per line"
+        />
+        <div style={row}>
+          <MultInputs
+            value={draft.target}
+            onChange={(patch) => setDraft({ ...draft, target: { ...draft.target, ...patch } })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
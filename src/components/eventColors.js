@@ -0,0 +1,17 @@
+// Marker colours shared by the event log and the timeline strip
+export const EVENT_COLORS = {
+  zoneEnter: "#ef4444",
+  zoneExit: "#f97316",
+  holdStart: "#22c55e",
+  holdBreak: "#eab308",
+  stickContact: "#60a5fa",
+  levelUp: "#14b8a6",
+  disruption: "#db2777",
+  disruptionEnd: "#f9a8d4",
+  complete: "#16a34a",
+  escalate: "#b91c1c",
+  roundEnd: "#111827",
+  pause: "#94a3b8",
+  resume: "#94a3b8",
+  reset: "#a78bfa",
+};
@@ -0,0 +1,59 @@
+// Headless strategy benchmark
+// - Every strategy plays the same N seeds, so differences come from the strategy and not the luck of the draw
+// - runBenchmark is a generator that yields after each round, so the UI can show progress without freezing
+
+import { advance, createSimulation } from "./simulation.js";
+import { BOTS, botInput, createBot } from "./bots.js";
+
+const FRAME_DT = 1 / 60;
+
+// roster and versus as for createSimulation, so a benchmarked seed is the board a live round gets
+export function playBotRound(
+  botId,
+  cfg,
+  { seed, layout = null, seconds = 120, mode = null, roster = null, versus = 0 } = {},
+) {
+  const state = createSimulation(cfg, { seed, layout, mode, roster, versus });
+  const bot = createBot(botId);
+  const frames = Math.round(seconds / FRAME_DT);
+  for (let i = 0; i < frames && state.mode.status === "playing"; i++) {
+    advance(state, botInput(bot, state, FRAME_DT), FRAME_DT);
+  }
+  return { seed, holdSeconds: state.bestHoldSeconds, score: state.score.total, time: state.time };
+}
+
+// Population mean and variance
+export function meanVariance(values) {
+  if (values.length === 0) return { mean: 0, variance: 0 };
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+  return { mean, variance };
+}
+
+export function summarizeBenchmark(botId, rounds) {
+  return {
+    id: botId,
+    label: BOTS[botId].label,
+    rounds,
+    hold: meanVariance(rounds.map((r) => r.holdSeconds)),
+    score: meanVariance(rounds.map((r) => r.score)),
+  };
+}
+
+// opts: { bots, rounds, seconds, baseSeed, layout, mode, roster, versus }
+// yields { done, total, results } after every round; results are summaries so far, one per bot
+export function* runBenchmark(
+  cfg,
+  { bots, rounds = 10, seconds = 120, baseSeed = 1, layout = null, mode = null, roster = null, versus = 0 },
+) {
+  const total = bots.length * rounds;
+  const played = Object.fromEntries(bots.map((id) => [id, []]));
+  let done = 0;
+  for (const id of bots) {
+    for (let i = 0; i < rounds; i++) {
+      played[id].push(playBotRound(id, cfg, { seed: (baseSeed + i) >>> 0, layout, seconds, mode, roster, versus }));
+      done += 1;
+      yield { done, total, results: bots.map((b) => summarizeBenchmark(b, played[b])) };
+    }
+  }
+}
@@ -0,0 +1,145 @@
+// Autopilot bots: read the simulation state, hand back the stick input a pointer would have produced
+// - Bots drive stick slot 0, the same one the mouse and keyboard use
+// - A strategy is { label, blurb, act(state, memory) } returning { x, y, down } for where the stick wants to be;
+//   memory is a plain object the strategy may keep between frames
+// - botInput moves the stick toward that point at BOT_SPEED, like a hand would, so pushes keep sane velocities
+// - Bots only read state; they never touch the rng, so a bot round replays like any other recording
+
+import { clamp, isInTarget, normalize } from "./simulation.js";
+
+const BOT_SPEED = 650; // px/sec
+const ARRIVE = 6; // px
+
+// Where to push a puck: the middle of the target, at the puck's own height for the classic right-hand strip
+function aimPoint(state, p) {
+  const { cfg, zones } = state;
+  const box = zones.targetBox;
+  const y = zones.targetArea ? (box.y0 + box.y1) / 2 : clamp(p.y, p.radius * 2, cfg.boardH - p.radius * 2);
+  return { x: (box.x0 + box.x1) / 2, y };
+}
+
+// Line up behind a puck (on the side away from the target) with the stick up, then press and push it in.
+// The stick swings around pucks it is on the wrong side of, so it never drags them back toward the negatives.
+function herd(state, p) {
+  const { cfg } = state;
+  const stick = state.sticks[0];
+  const gap = p.radius + cfg.stickRadius;
+  const aim = aimPoint(state, p);
+  const u = normalize(aim.x - p.x, (aim.y - p.y) * 0.5);
+  const behind = { x: p.x - u.x * (gap - 2), y: p.y - u.y * (gap - 2) };
+
+  const dx = stick.x - behind.x;
+  const dy = stick.y - behind.y;
+  const close = Math.hypot(dx, dy) < gap * 0.6;
+  if (close) {
+    // Push toward the middle of the target, a little past the puck
+    return { x: p.x - u.x * gap * 0.6 + u.x * 40, y: p.y - u.y * gap * 0.6 + u.y * 40, down: true };
+  }
+
+  // On the wrong side (ahead of the puck): go around it first
+  const ahead = (stick.x - p.x) * u.x + (stick.y - p.y) * u.y;
+  const across = (stick.x - p.x) * -u.y + (stick.y - p.y) * u.x;
+  if (ahead > -gap * 0.5 && Math.abs(across) < gap + 8) {
+    const side = across < 0 ? -1 : 1;
+    return { x: p.x - u.x * gap - u.y * side * (gap + 14), y: p.y - u.y * gap + u.x * side * (gap + 14), down: false };
+  }
+  return { ...behind, down: false };
+}
+
+const stragglers = (state) => state.pucks.filter((p) => !isInTarget(state, p));
+
+// Keep chasing the same puck until it is in, so the bot doesn't dither between two candidates
+function stickyTarget(state, memory, pick) {
+  const current = memory.targetId && state.pucks.find((p) => p.id === memory.targetId);
+  if (current && !isInTarget(state, current)) return current;
+  const next = pick(stragglers(state));
+  memory.targetId = next?.id ?? null;
+  return next;
+}
+
+const park = (state) => {
+  const box = state.zones.targetBox;
+  return { x: Math.max(0, box.x0 - state.cfg.stickRadius * 2), y: (box.y0 + box.y1) / 2, down: false };
+};
+
+export const BOTS = {
+  nearestStraggler: {
+    label: "Nearest straggler",
+    blurb: "Always goes for the closest puck that is not in the target.",
+    act(state, memory) {
+      const stick = state.sticks[0];
+      const p = stickyTarget(state, memory, (list) => {
+        let best = null;
+        let bestD = Infinity;
+        for (const q of list) {
+          const d = Math.hypot(q.x - stick.x, q.y - stick.y);
+          if (d < bestD) {
+            best = q;
+            bestD = d;
+          }
+        }
+        return best;
+      });
+      return p ? herd(state, p) : park(state);
+    },
+  },
+
+  furthestFirst: {
+    label: "Furthest first",
+    blurb: "Rescues the puck furthest from the target before anything else.",
+    act(state, memory) {
+      const p = stickyTarget(state, memory, (list) => list.reduce((a, q) => (!a || q.x < a.x ? q : a), null));
+      return p ? herd(state, p) : park(state);
+    },
+  },
+
+  sweep: {
+    label: "Sweep",
+    blurb: "Zig-zags a pressed stick across the board from left to right, then lifts and starts over.",
+    act(state, memory) {
+      const { cfg, zones } = state;
+      const stick = state.sticks[0];
+      const lane = cfg.stickRadius * 2.5;
+      memory.x ??= cfg.stickRadius;
+      memory.dir ??= 1;
+      if (memory.returning) {
+        if (stick.x <= cfg.stickRadius + ARRIVE) memory.returning = false;
+        return { x: cfg.stickRadius, y: stick.y, down: false };
+      }
+      const edge = memory.dir > 0 ? cfg.boardH - cfg.stickRadius : cfg.stickRadius;
+      if (Math.abs(stick.y - edge) < ARRIVE) {
+        memory.dir = -memory.dir;
+        memory.x += lane;
+        if (memory.x > zones.targetBox.x0) {
+          memory.x = cfg.stickRadius;
+          memory.returning = true;
+        }
+      }
+      return { x: memory.x, y: edge, down: true };
+    },
+  },
+};
+
+export const BOT_IDS = Object.keys(BOTS);
+
+export function createBot(id) {
+  if (!BOTS[id]) throw new Error(`Unknown bot "${id}"`);
+  return { id, memory: {} };
+}
+
+// Input for this frame: the stick slides toward where the strategy wants it
+export function botInput(bot, state, dt) {
+  const want = BOTS[bot.id].act(state, bot.memory);
+  const { cfg } = state;
+  const stick = state.sticks[0];
+  const dx = want.x - stick.x;
+  const dy = want.y - stick.y;
+  const d = Math.hypot(dx, dy);
+  const maxMove = BOT_SPEED * dt;
+  const k = d > maxMove ? maxMove / d : 1;
+  return {
+    x: clamp(stick.x + dx * k, 0, cfg.boardW),
+    y: clamp(stick.y + dy * k, 0, cfg.boardH),
+    down: want.down,
+  };
+}
@@ -0,0 +1,61 @@
+// Uniform-grid broadphase
+// - Buckets items into square cells (counting sort, no per-cell arrays)
+// - Only pairs in the same or adjacent cells are handed to the narrowphase
+// - cellSize must be at least the largest interaction distance (two puck radii for collisions)
+
+export function forEachNearbyPair(items, cellSize, boardW, boardH, fn) {
+  const n = items.length;
+  if (n < 2) return;
+
+  const cols = Math.max(1, Math.ceil(boardW / cellSize));
+  const rows = Math.max(1, Math.ceil(boardH / cellSize));
+  const cellCount = cols * rows;
+
+  const cellOf = new Int32Array(n);
+  const start = new Int32Array(cellCount + 1);
+  for (let i = 0; i < n; i++) {
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor(items[i].x / cellSize)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor(items[i].y / cellSize)));
+    const c = cy * cols + cx;
+    cellOf[i] = c;
+    start[c + 1] += 1;
+  }
+  for (let c = 0; c < cellCount; c++) start[c + 1] += start[c];
+
+  const order = new Int32Array(n);
+  const fill = start.slice(0, cellCount);
+  for (let i = 0; i < n; i++) order[fill[cellOf[i]]++] = i;
+
+  // Same cell, then the four "forward" neighbours so every pair is visited once
+  const forward = [
+    [1, 0],
+    [-1, 1],
+    [0, 1],
+    [1, 1],
+  ];
+
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < cols; cx++) {
+      const c = cy * cols + cx;
+      const a0 = start[c];
+      const a1 = start[c + 1];
+      if (a0 === a1) continue;
+
+      for (let a = a0; a < a1; a++) {
+        for (let b = a + 1; b < a1; b++) fn(items[order[a]], items[order[b]]);
+      }
+
+      for (const [ox, oy] of forward) {
+        const nx = cx + ox;
+        const ny = cy + oy;
+        if (nx < 0 || nx >= cols || ny >= rows) continue;
+        const d = ny * cols + nx;
+        const b0 = start[d];
+        const b1 = start[d + 1];
+        for (let a = a0; a < a1; a++) {
+          for (let b = b0; b < b1; b++) fn(items[order[a]], items[order[b]]);
+        }
+      }
+    }
+  }
+}
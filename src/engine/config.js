@@ -0,0 +1,282 @@
+// Config schema, validation and built-in presets
+// - CONFIG_FIELDS describes every DEFAULTS key for the settings UI
+// - live: true fields can change mid-round; the rest need a fresh board (Reset)
+
+import { DEFAULTS } from "./simulation.js";
+
+export const CONFIG_FIELDS = [
+  // Board (reset)
+  { key: "puckCount", label: "Pucks", group: "Board", min: 1, max: 500, step: 1, int: true, live: false },
+  { key: "puckRadius", label: "Puck radius", group: "Board", min: 4, max: 40, step: 1, live: false },
+  { key: "puckSizeSpread", label: "Puck size spread (±)", group: "Board", min: 0, max: 0.8, step: 0.05, live: false },
+  { key: "boardW", label: "Board width", group: "Board", min: 400, max: 2000, step: 10, int: true, live: false },
+  { key: "boardH", label: "Board height", group: "Board", min: 240, max: 1200, step: 10, int: true, live: false },
+  { key: "targetZoneW", label: "Target zone width", group: "Board", min: 40, max: 700, step: 5, live: false },
+
+  // Movement
+  { key: "maxSpeed", label: "Max speed (px/s)", group: "Movement", min: 20, max: 600, step: 5, live: true },
+  {
+    key: "dampingPerSec",
+    label: "Velocity kept per second",
+    group: "Movement",
+    min: 0.01,
+    max: 1,
+    step: 0.01,
+    live: true,
+  },
+  { key: "wanderStrength", label: "Wander strength", group: "Movement", min: 0, max: 200, step: 1, live: true },
+  { key: "jitterStrength", label: "Jitter strength", group: "Movement", min: 0, max: 200, step: 1, live: true },
+  { key: "jitterChancePerSec", label: "Jitter chance / s", group: "Movement", min: 0, max: 5, step: 0.01, live: true },
+  { key: "goalLeakStrength", label: "Goal leak strength", group: "Movement", min: 0, max: 200, step: 1, live: true },
+
+  // Stick
+  { key: "stickRadius", label: "Stick radius", group: "Stick", min: 6, max: 80, step: 1, live: true },
+  { key: "stickPushStrength", label: "Push strength", group: "Stick", min: 0, max: 2000, step: 10, live: true },
+  {
+    key: "stickFrictionPerSec",
+    label: "Stick velocity kept / s",
+    group: "Stick",
+    min: 0.0001,
+    max: 1,
+    step: 0.0001,
+    live: true,
+  },
+  { key: "stickCarryPerSec", label: "Stick carry / s", group: "Stick", min: 0, max: 20, step: 0.1, live: true },
+
+  // Crew (archetype shares need a new board; strengths apply live)
+  { key: "followerShare", label: "Followers (share)", group: "Crew", min: 0, max: 1, step: 0.05, live: false },
+  { key: "flockerShare", label: "Flockers (share)", group: "Crew", min: 0, max: 1, step: 0.05, live: false },
+  { key: "lonerShare", label: "Loners (share)", group: "Crew", min: 0, max: 1, step: 0.05, live: false },
+  { key: "disruptorShare", label: "Disruptors (share)", group: "Crew", min: 0, max: 1, step: 0.05, live: false },
+  { key: "socialRadius", label: "Neighbour radius", group: "Crew", min: 20, max: 400, step: 5, live: true },
+  { key: "followStrength", label: "Follow strength", group: "Crew", min: 0, max: 300, step: 1, live: true },
+  { key: "flockStrength", label: "Flock alignment / s", group: "Crew", min: 0, max: 10, step: 0.1, live: true },
+  { key: "lonerStrength", label: "Loner avoidance", group: "Crew", min: 0, max: 300, step: 1, live: true },
+  { key: "disruptStrength", label: "Disruptor pull", group: "Crew", min: 0, max: 300, step: 1, live: true },
+
+  // Stick tools (all live)
+  { key: "magnetRange", label: "Magnet range", group: "Tools", min: 40, max: 400, step: 5, live: true },
+  { key: "magnetStrength", label: "Magnet pull", group: "Tools", min: 0, max: 1000, step: 10, live: true },
+  { key: "magnetMaxSec", label: "Magnet pull per press (s)", group: "Tools", min: 0.5, max: 10, step: 0.5, live: true },
+  { key: "magnetCooldownSec", label: "Magnet recharge (s)", group: "Tools", min: 0, max: 20, step: 0.5, live: true },
+  { key: "fenceMaxLen", label: "Fence max length", group: "Tools", min: 40, max: 600, step: 10, live: true },
+  { key: "fenceLifetimeSec", label: "Fence lifetime (s)", group: "Tools", min: 1, max: 30, step: 0.5, live: true },
+  { key: "fenceCooldownSec", label: "Fence cooldown (s)", group: "Tools", min: 0, max: 30, step: 0.5, live: true },
+  { key: "lassoImpulse", label: "Lasso shove", group: "Tools", min: 0, max: 500, step: 5, live: true },
+  { key: "lassoMaxLen", label: "Lasso max path", group: "Tools", min: 200, max: 4000, step: 50, live: true },
+  { key: "lassoCooldownSec", label: "Lasso cooldown (s)", group: "Tools", min: 0, max: 30, step: 0.5, live: true },
+
+  // Disruptions (all live; scripted ones live in the board layout)
+  {
+    key: "disruptionEverySec",
+    label: "Random disruption every (s, 0 = off)",
+    group: "Disruptions",
+    min: 0,
+    max: 600,
+    step: 5,
+    live: true,
+  },
+  {
+    key: "disruptionWarnSec",
+    label: "Warning countdown (s)",
+    group: "Disruptions",
+    min: 0,
+    max: 30,
+    step: 1,
+    live: true,
+  },
+  {
+    key: "disruptionDurationSec",
+    label: "Random one lasts (s)",
+    group: "Disruptions",
+    min: 1,
+    max: 60,
+    step: 1,
+    live: true,
+  },
+  { key: "gustStrength", label: "Gust strength", group: "Disruptions", min: 0, max: 400, step: 5, live: true },
+  { key: "leakSurge", label: "Shift change leak ×", group: "Disruptions", min: 1, max: 10, step: 0.1, live: true },
+  { key: "zoneGrowPx", label: "Audit zone growth (px)", group: "Disruptions", min: 0, max: 300, step: 5, live: true },
+
+  // Puck lifecycle (all live; 0 = that rule is off)
+  {
+    key: "completeAfterSec",
+    label: "Done after in target (s, 0 = never)",
+    group: "Lifecycle",
+    min: 0,
+    max: 300,
+    step: 1,
+    live: true,
+  },
+  { key: "arrivalsPerMin", label: "Arrivals per minute", group: "Lifecycle", min: 0, max: 120, step: 1, live: true },
+  {
+    key: "escalateAfterSec",
+    label: "Escalate when stuck (s, 0 = never)",
+    group: "Lifecycle",
+    min: 0,
+    max: 300,
+    step: 1,
+    live: true,
+  },
+  { key: "escalateGrowth", label: "Escalation size ×", group: "Lifecycle", min: 1, max: 2, step: 0.05, live: true },
+  { key: "escalateSpeedUp", label: "Escalation speed ×", group: "Lifecycle", min: 1, max: 3, step: 0.05, live: true },
+  {
+    key: "escalateStubbornUp",
+    label: "Escalation stubbornness ×",
+    group: "Lifecycle",
+    min: 1,
+    max: 3,
+    step: 0.05,
+    live: true,
+  },
+
+  // Collisions
+  { key: "wallBounce", label: "Wall bounce", group: "Collisions", min: 0, max: 1.2, step: 0.01, live: true },
+  { key: "puckRestitution", label: "Puck restitution", group: "Collisions", min: 0, max: 1, step: 0.01, live: true },
+
+  // Scoring
+  { key: "scoreTargetPerSec", label: "Target pts / puck-s", group: "Scoring", min: 0, max: 100, step: 0.5, live: true },
+  {
+    key: "scoreImprovePerSec",
+    label: "Improvement pts / puck-s",
+    group: "Scoring",
+    min: 0,
+    max: 100,
+    step: 0.5,
+    live: true,
+  },
+  {
+    key: "scorePenaltyPerSec",
+    label: "Penalty / puck-s × severity",
+    group: "Scoring",
+    min: 0,
+    max: 100,
+    step: 0.5,
+    live: true,
+  },
+  { key: "streakEverySec", label: "Streak every (s)", group: "Scoring", min: 1, max: 120, step: 1, live: true },
+  { key: "streakBonus", label: "Streak bonus", group: "Scoring", min: 0, max: 1000, step: 5, live: true },
+
+  // Alerts and integrator
+  {
+    key: "alertFlashMs",
+    label: "Alert flash (ms)",
+    group: "Other",
+    min: 0,
+    max: 3000,
+    step: 10,
+    int: true,
+    live: true,
+  },
+  {
+    key: "fixedStepHz",
+    label: "Physics rate (Hz)",
+    group: "Other",
+    min: 30,
+    max: 480,
+    step: 10,
+    int: true,
+    live: false,
+  },
+  {
+    key: "maxSubsteps",
+    label: "Max substeps / frame",
+    group: "Other",
+    min: 1,
+    max: 32,
+    step: 1,
+    int: true,
+    live: true,
+  },
+];
+
+// Returns { cfg, errors }: cfg is always usable (bad or missing values fall back to the previous/default value),
+// errors maps field keys to a message for anything that was rejected
+export function validateConfig(input, base = DEFAULTS) {
+  const cfg = { ...DEFAULTS, ...base };
+  const errors = {};
+
+  for (const f of CONFIG_FIELDS) {
+    if (!input || input[f.key] === undefined || input[f.key] === "") continue;
+    let v = Number(input[f.key]);
+    if (!Number.isFinite(v)) {
+      errors[f.key] = "Must be a number";
+      continue;
+    }
+    if (f.int) v = Math.round(v);
+    if (v < f.min || v > f.max) {
+      errors[f.key] = `Must be between ${f.min} and ${f.max}`;
+      continue;
+    }
+    cfg[f.key] = v;
+  }
+
+  // The target zone must stay clear of the negative and improvement bands
+  const maxTarget = Math.floor(cfg.boardW * 0.35);
+  if (cfg.targetZoneW > maxTarget) {
+    errors.targetZoneW = `Must be at most 35% of the board width (${maxTarget})`;
+    cfg.targetZoneW = Math.min(base.targetZoneW ?? DEFAULTS.targetZoneW, maxTarget);
+  }
+
+  return { cfg, errors };
+}
+
+// Fields whose values differ between two configs and only take effect on reset
+export function pendingResetFields(active, draft) {
+  return CONFIG_FIELDS.filter((f) => !f.live && active[f.key] !== draft[f.key]).map((f) => f.key);
+}
+
+// Just the live-safe values of cfg
+export function liveFields(cfg) {
+  const out = {};
+  for (const f of CONFIG_FIELDS) if (f.live) out[f.key] = cfg[f.key];
+  return out;
+}
+
+// Apply the live-safe part of cfg to a running simulation (the rest waits for Reset)
+export function applyLiveConfig(state, cfg) {
+  state.cfg = { ...state.cfg, ...liveFields(cfg) };
+  return state;
+}
+
+export const BUILTIN_PRESETS = {
+  Standard: { ...DEFAULTS },
+  Easy: {
+    ...DEFAULTS,
+    puckCount: 6,
+    wanderStrength: 12,
+    jitterChancePerSec: 0.25,
+    goalLeakStrength: 14,
+    stickPushStrength: 640,
+  },
+  "Peak season": {
+    ...DEFAULTS,
+    puckCount: 14,
+    maxSpeed: 160,
+    wanderStrength: 24,
+    jitterChancePerSec: 0.6,
+    goalLeakStrength: 34,
+  },
+  "Mixed crew": {
+    ...DEFAULTS,
+    puckCount: 12,
+    followerShare: 0.25,
+    flockerShare: 0.25,
+    lonerShare: 0.15,
+    disruptorShare: 0.1,
+  },
+  "Work flow": {
+    ...DEFAULTS,
+    puckCount: 6,
+    completeAfterSec: 8,
+    arrivalsPerMin: 6,
+    escalateAfterSec: 15,
+  },
+  "Short-staffed": {
+    ...DEFAULTS,
+    puckCount: 10,
+    stickRadius: 16,
+    stickPushStrength: 420,
+    goalLeakStrength: 30,
+  },
+};
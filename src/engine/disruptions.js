@@ -0,0 +1,164 @@
+// Disruptions: board-wide events that hit every puck at once (a truck arrives late, a storm, a shift change, an audit)
+// - gust: pushes every puck left by cfg.gustStrength while it lasts
+// - leak: goal leak rises to cfg.leakSurge times its usual strength while it lasts
+// - zone: one negative zone grows by cfg.zoneGrowPx on every side while it lasts
+// - arrival: a new puck turns up at the far left edge (over at once)
+// - Scripted ones come from the layout (layout.disruptions: [{ at, kind, duration, zoneId }]); random ones arrive
+//   about every cfg.disruptionEverySec (0 = none). Random picks use their own seeded stream, so switching them on
+//   doesn't change how the pucks themselves wander
+// - Each one is queued cfg.disruptionWarnSec ahead (state.disruptions.upcoming) so the board can count down to it,
+//   logged as "disruption" when it hits and "disruptionEnd" when it wears off, and kept in stats.disruptions
+
+import { createRng, random, randBetween } from "./rng.js";
+import { pushEvent } from "./events.js";
+
+export const DISRUPTIONS = {
+  gust: { label: "Storm gust", blurb: "Every puck is blown toward the left" },
+  leak: { label: "Shift change", blurb: "Pucks slip out of the target faster" },
+  zone: { label: "Audit", blurb: "A negative zone grows" },
+  arrival: { label: "Late truck", blurb: "A new puck arrives at the far left" },
+};
+export const DISRUPTION_KINDS = Object.keys(DISRUPTIONS);
+export const MAX_SCRIPTED_DISRUPTIONS = 24;
+
+// The random stream is derived from the round's seed, so a seed replays the same disruptions
+export function createDisruptions(seed) {
+  return {
+    rng: createRng((seed ^ 0x9e3779b9) >>> 0),
+    scripted: 0, // how many of the layout's scripted disruptions have been queued
+    nextRandomAt: null,
+    upcoming: [], // [{ kind, at, duration, zoneId }], soonest first
+    active: [], // [{ kind, at, until, zoneId }]
+  };
+}
+
+function queue(d, item) {
+  d.upcoming.push(item);
+  d.upcoming.sort((a, b) => a.at - b.at);
+}
+
+function randomDisruption(state, at) {
+  const { cfg, zones } = state;
+  const rng = state.disruptions.rng;
+  const kind = DISRUPTION_KINDS[Math.floor(random(rng) * DISRUPTION_KINDS.length)];
+  const zone = kind === "zone" ? zones.negZones[Math.floor(random(rng) * zones.negZones.length)] : null;
+  return { kind, at, duration: cfg.disruptionDurationSec, zoneId: zone?.id ?? null };
+}
+
+// Once per step, right after the clock moves. Returns { arrivals, zonesChanged }: how many pucks to add at the left
+// edge and whether the zones need rebuilding (see growZones)
+export function updateDisruptions(state) {
+  const { cfg, layout } = state;
+  const d = state.disruptions;
+  const t = state.time;
+  const warn = cfg.disruptionWarnSec;
+  let arrivals = 0;
+  let zonesChanged = false;
+
+  const script = layout.disruptions ?? [];
+  while (d.scripted < script.length && script[d.scripted].at - warn <= t) {
+    const s = script[d.scripted];
+    d.scripted += 1;
+    if (s.at + s.duration < t) continue; // long gone (a resumed or edited round)
+    queue(d, { kind: s.kind, at: s.at, duration: s.duration, zoneId: s.zoneId ?? null });
+  }
+
+  if (cfg.disruptionEverySec > 0) {
+    const gap = () => cfg.disruptionEverySec * randBetween(d.rng, 0.5, 1.5);
+    if (d.nextRandomAt == null) d.nextRandomAt = t + warn + gap();
+    if (d.nextRandomAt - warn <= t) {
+      queue(d, randomDisruption(state, d.nextRandomAt));
+      d.nextRandomAt += gap();
+    }
+  } else {
+    d.nextRandomAt = null;
+  }
+
+  while (d.upcoming.length && d.upcoming[0].at <= t) {
+    const item = d.upcoming.shift();
+    const { label } = DISRUPTIONS[item.kind];
+    if (item.kind === "zone" && !state.zones.negZones.some((z) => z.id === item.zoneId)) {
+      const { negZones } = state.zones; // no zone named: any of them
+      item.zoneId = negZones[Math.floor(random(d.rng) * negZones.length)]?.id ?? null;
+      if (!item.zoneId) continue; // no negative zones on this board
+    }
+    const seconds = item.kind === "arrival" ? 0 : item.duration;
+    pushEvent(state, "disruption", { kind: item.kind, label, seconds, zoneId: item.zoneId ?? undefined });
+    state.stats.disruptions ??= [];
+    state.stats.disruptions.push({ t, kind: item.kind, label, seconds, zoneId: item.zoneId });
+    if (item.kind === "arrival") {
+      arrivals += 1;
+      continue;
+    }
+    d.active.push({ kind: item.kind, at: t, until: t + item.duration, zoneId: item.zoneId });
+    if (item.kind === "zone") zonesChanged = true;
+  }
+
+  if (d.active.some((a) => a.until <= t)) {
+    for (const a of d.active.filter((a) => a.until <= t)) {
+      pushEvent(state, "disruptionEnd", {
+        kind: a.kind,
+        label: DISRUPTIONS[a.kind].label,
+        zoneId: a.zoneId ?? undefined,
+      });
+      if (a.kind === "zone") zonesChanged = true;
+    }
+    d.active = d.active.filter((a) => a.until > t);
+  }
+  return { arrivals, zonesChanged };
+}
+
+// What the active disruptions do to the pucks this step: { gust (accel px/sec^2 toward the left), leak (× goal leak) }
+export function disruptionEffects(state) {
+  let gust = 0;
+  let leak = 1;
+  for (const a of state.disruptions?.active ?? []) {
+    if (a.kind === "gust") gust += state.cfg.gustStrength;
+    if (a.kind === "leak") leak *= state.cfg.leakSurge;
+  }
+  return { gust, leak };
+}
+
+// zones (fresh from buildZones) with every audited zone grown by cfg.zoneGrowPx; strips it grows over give way
+export function growZones(state, zones) {
+  const grow = state.cfg.zoneGrowPx;
+  for (const a of state.disruptions?.active ?? []) {
+    if (a.kind !== "zone") continue;
+    const z = zones.negZones.find((n) => n.id === a.zoneId);
+    if (!z) continue;
+    z.grown = true;
+    if (z.shape) {
+      const s = z.shape;
+      const shape = { ...s, x0: s.x0 - grow, y0: s.y0 - grow, x1: s.x1 + grow, y1: s.y1 + grow };
+      if (s.kind === "circle") shape.r = s.r + grow;
+      Object.assign(z, { shape, x0: shape.x0, y0: shape.y0, x1: shape.x1, y1: shape.y1 });
+      continue;
+    }
+    const mid = (z.x0 + z.x1) / 2;
+    z.x0 = Math.max(0, z.x0 - grow);
+    z.x1 = Math.min(zones.targetX, z.x1 + grow);
+    for (const other of zones.negZones) {
+      if (other === z || other.shape) continue;
+      if ((other.x0 + other.x1) / 2 < mid) other.x1 = Math.max(other.x0, Math.min(other.x1, z.x0));
+      else other.x0 = Math.min(other.x1, Math.max(other.x0, z.x1));
+    }
+  }
+  return zones;
+}
+
+// For the board banner: { next: the soonest queued one and seconds until it hits, active: what is on now and
+// seconds left }, whole seconds rounded up
+export function disruptionStatus(state) {
+  const d = state.disruptions;
+  const t = state.time;
+  const up = d?.upcoming[0];
+  return {
+    next: up ? { kind: up.kind, ...DISRUPTIONS[up.kind], zoneId: up.zoneId, in: Math.ceil(up.at - t) } : null,
+    active: (d?.active ?? []).map((a) => ({
+      kind: a.kind,
+      ...DISRUPTIONS[a.kind],
+      zoneId: a.zoneId,
+      left: Math.ceil(a.until - t),
+    })),
+  };
+}
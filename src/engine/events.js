@@ -0,0 +1,89 @@
+// Round event log
+// - step() appends zone enter/exit, hold start/break and stick contact, modes.js level ups and the round end, and
+//   disruptions.js disruptions hitting and wearing off, lifecycle.js completions and escalations; the UI adds
+//   pause/resume/reset
+// - Entries are { seq, t, type, puckId?, zoneId?, seconds?, level?, won?, reason?, kind?, label? }; seq only ever
+//   grows, so views can cheaply tell whether anything new arrived even after old entries have been dropped
+// - Stick contacts and everything else are capped separately (oldest dropped first), so contacts can't crowd
+//   out the zone incidents the timeline is for
+
+export const MAX_EVENTS = 1000; // zone, hold, mode and the other incidents
+export const MAX_CONTACT_EVENTS = 300; // stick contact fires far more often, so it gets a cap of its own
+
+export const EVENT_TYPES = [
+  "zoneEnter",
+  "zoneExit",
+  "holdStart",
+  "holdBreak",
+  "stickContact",
+  "levelUp",
+  "disruption",
+  "disruptionEnd",
+  "complete",
+  "escalate",
+  "roundEnd",
+  "pause",
+  "resume",
+  "reset",
+];
+
+export function createEventLog() {
+  return { seq: 0, entries: [] };
+}
+
+export function pushEvent(state, type, fields = {}) {
+  const log = state.events;
+  log.seq += 1;
+  log.entries.push({ seq: log.seq, t: state.time, type, ...fields });
+  // Drop the oldest of the same kind, so a burst of contacts never pushes zone incidents out of the log
+  const contact = type === "stickContact";
+  const sameKind = (e) => (e.type === "stickContact") === contact;
+  let over = log.entries.filter(sameKind).length - (contact ? MAX_CONTACT_EVENTS : MAX_EVENTS);
+  for (let i = 0; over > 0 && i < log.entries.length;) {
+    if (sameKind(log.entries[i])) {
+      log.entries.splice(i, 1);
+      over -= 1;
+    } else i += 1;
+  }
+}
+
+// One-line description for logs and tooltips
+export function describeEvent(state, e, nameOf = (p) => p.id) {
+  const puck = e.puckId
+    ? (state.pucks.find((p) => p.id === e.puckId) ?? state.lifecycle?.done.find((p) => p.id === e.puckId))
+    : null;
+  const who = puck ? nameOf(puck) : e.puckId;
+  const zone = e.zoneId ? (state.zones.negZones.find((z) => z.id === e.zoneId)?.text ?? e.zoneId) : "";
+  switch (e.type) {
+    case "zoneEnter":
+      return `${who} entered ${zone}`;
+    case "zoneExit":
+      return `${who} left ${zone}`;
+    case "holdStart":
+      return "All pucks in target: hold started";
+    case "holdBreak":
+      return `Hold broken after ${(e.seconds ?? 0).toFixed(1)}s${who ? ` (${who} left)` : ""}`;
+    case "stickContact":
+      return e.stick > 0 ? `Player ${e.stick + 1}'s stick touched ${who}` : `Stick touched ${who}`;
+    case "disruption":
+      return `${e.label}${zone ? `: ${zone} grows` : ""}${e.seconds ? ` for ${e.seconds}s` : ""}`;
+    case "disruptionEnd":
+      return `${e.label} is over${zone ? ` (${zone} back to size)` : ""}`;
+    case "complete":
+      return `${who} done after ${(e.seconds ?? 0).toFixed(1)}s`;
+    case "escalate":
+      return `${who} escalated${e.level > 1 ? ` (level ${e.level})` : ""} after getting stuck in ${zone}`;
+    case "levelUp":
+      return `Level ${e.level} reached`;
+    case "roundEnd":
+      return `${e.won ? "Won" : "Lost"}: ${e.reason}`;
+    case "pause":
+      return "Paused";
+    case "resume":
+      return "Resumed";
+    case "reset":
+      return "Board reset";
+    default:
+      return e.type;
+  }
+}
@@ -0,0 +1,58 @@
+// Position heatmap: where the pucks spent the round, tallied inside step() like the rest of the stats
+// - stats.heatmap = { cell, cols, rows, seconds }: puck-seconds per HEATMAP_CELL px square, row by row
+// - zoneOccupancy gives each zone's and band's share of all puck-seconds (from the per-puck stats, so it matches
+//   the session summary)
+// - heatmapGrid is the export shape: plain rows of seconds plus the board and zone shares, so heatmaps from
+//   different presets can be compared cell by cell
+
+export const HEATMAP_CELL = 20; // px
+export const BAND_LABELS = { improve: "Improvement band", between: "Between bands", target: "Target" };
+
+export function createHeatmap(cfg) {
+  const cols = Math.ceil(cfg.boardW / HEATMAP_CELL);
+  const rows = Math.ceil(cfg.boardH / HEATMAP_CELL);
+  return { cell: HEATMAP_CELL, cols, rows, seconds: Array(cols * rows).fill(0) };
+}
+
+export function tallyHeatmap(stats, cfg, pucks, dt) {
+  const h = (stats.heatmap ??= createHeatmap(cfg));
+  for (const p of pucks) {
+    const col = Math.min(h.cols - 1, Math.max(0, Math.floor(p.x / h.cell)));
+    const row = Math.min(h.rows - 1, Math.max(0, Math.floor(p.y / h.cell)));
+    h.seconds[row * h.cols + col] += dt;
+  }
+}
+
+// { [negative zone id]: share, improve, between, target }, shares 0..1 of every puck-second so far
+export function zoneOccupancy(state) {
+  const totals = { improve: 0, between: 0, target: 0 };
+  for (const z of state.zones.negZones) totals[z.id] = 0;
+  for (const s of Object.values(state.stats.pucks)) {
+    totals.improve += s.improveTime;
+    totals.between += s.betweenTime;
+    totals.target += s.targetTime;
+    for (const [id, t] of Object.entries(s.negTime)) if (id in totals) totals[id] += t;
+  }
+  const all = Object.values(totals).reduce((a, t) => a + t, 0);
+  return Object.fromEntries(Object.entries(totals).map(([id, t]) => [id, all > 0 ? t / all : 0]));
+}
+
+// Hottest cell in puck-seconds (0 before anything was tallied)
+export const heatmapMax = (h) => (h ? h.seconds.reduce((m, v) => Math.max(m, v), 0) : 0);
+
+export function heatmapGrid(state) {
+  const h = state.stats.heatmap ?? createHeatmap(state.cfg);
+  const occupancy = zoneOccupancy(state);
+  const label = (id) => BAND_LABELS[id] ?? state.zones.negZones.find((z) => z.id === id)?.text ?? id;
+  return {
+    boardW: state.cfg.boardW,
+    boardH: state.cfg.boardH,
+    cell: h.cell,
+    cols: h.cols,
+    rows: h.rows,
+    duration: state.stats.duration,
+    max: heatmapMax(h),
+    seconds: Array.from({ length: h.rows }, (_, r) => h.seconds.slice(r * h.cols, (r + 1) * h.cols)),
+    zones: Object.entries(occupancy).map(([id, share]) => ({ id, text: label(id), share })),
+  };
+}
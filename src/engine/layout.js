@@ -0,0 +1,223 @@
+// Board layouts: which zones exist, where they sit and how hard they push pucks around
+// - Negative zones split the left band (0..negativeEnd) by relative size, left-to-right
+// - The improvement band runs from negativeEnd to improveEnd
+// - Everything right of improveEnd uses the target multipliers; the target itself is the last cfg.targetZoneW px
+// - Band edges are fractions of the board width so a layout works on any board size
+// - A negative zone's severity scales the score penalty for every second a puck spends in it
+// - A negative zone with a shape (rectangle or circle) sits wherever the shape says instead of in the band, and
+//   wins over the strips underneath it; target.area does the same for the target
+// - Obstacles are static rectangles and circles pucks bounce off (partitions, pillars, the two halves of a gate)
+// - Shapes are { kind: "rect", x, y, w, h } (top-left corner and size) or { kind: "circle", x, y, r } (centre and
+//   radius), in fractions of the board width (x, w) and height (y, h, r)
+// - Scripted disruptions ({ at, kind, duration, zoneId }, seconds into the round) run with the board, sorted by
+//   start; see disruptions.js
+
+import { targetLanes } from "./sticks.js";
+import { DISRUPTION_KINDS, MAX_SCRIPTED_DISRUPTIONS } from "./disruptions.js";
+
+export const GREEN_LABELS = ["JBO's", "Audits", "CMS's", "Everyone Safe", "Load Balance", "Hours Management"];
+
+const NEG_DEFAULTS = [
+  ["Low morale", 2.2, 0.1, 3],
+  ["Damages", 2.1, 0.09, 2.5],
+  ["Samsara events", 2.0, 0.085, 2],
+  ["Time theft", 1.9, 0.08, 1.5],
+  ["Low production", 1.8, 0.075, 1],
+];
+
+export const DEFAULT_LAYOUT = {
+  name: "Default",
+  negativeEnd: 0.35,
+  improveEnd: 0.65,
+  negativeZones: NEG_DEFAULTS.map(([text, mult, opacity, severity], i) => ({
+    id: `neg-${i + 1}`,
+    text,
+    size: 1,
+    wanderMult: mult,
+    jitterMult: mult,
+    color: "#ef4444",
+    opacity,
+    severity,
+    shape: null,
+  })),
+  obstacles: [],
+  improve: {
+    text: "Improved, but needs more improvement",
+    wanderMult: 1.25,
+    jitterMult: 1.25,
+    color: "#eab308",
+  },
+  target: {
+    text: "In compliance • Profitable • Safe • Stay here",
+    labels: GREEN_LABELS,
+    wanderMult: 0.95,
+    jitterMult: 0.95,
+    color: "#22c55e",
+    area: null,
+  },
+  disruptions: [],
+};
+
+export const MAX_NEG_ZONES = 12;
+export const MAX_OBSTACLES = 24;
+const MULT_RANGE = [0, 5];
+
+const num = (v, lo, hi, fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : fallback;
+};
+const hex = (v, fallback) => (/^#[0-9a-f]{6}$/i.test(String(v)) ? String(v) : fallback);
+const text = (v, fallback) => (typeof v === "string" && v.trim() ? v.trim().slice(0, 40) : fallback);
+
+// A shape kept on the board (at least a sliver of it), or null for "no shape"
+export function normalizeShape(input) {
+  if (input?.kind === "rect") {
+    const x = num(input.x, 0, 0.98, 0);
+    const y = num(input.y, 0, 0.98, 0);
+    return { kind: "rect", x, y, w: num(input.w, 0.01, 1 - x, 0.1), h: num(input.h, 0.01, 1 - y, 0.1) };
+  }
+  if (input?.kind === "circle") {
+    return { kind: "circle", x: num(input.x, 0, 1, 0.5), y: num(input.y, 0, 1, 0.5), r: num(input.r, 0.01, 0.5, 0.1) };
+  }
+  return null;
+}
+
+// Always returns a usable layout: unknown or out-of-range values are clamped or fall back to the defaults
+export function normalizeLayout(input) {
+  const src = input ?? {};
+  const d = DEFAULT_LAYOUT;
+  const negativeEnd = num(src.negativeEnd, 0, 0.6, d.negativeEnd);
+  const improveEnd = num(src.improveEnd, negativeEnd, 0.8, Math.max(negativeEnd, d.improveEnd));
+
+  const zones = Array.isArray(src.negativeZones) ? src.negativeZones : d.negativeZones;
+  const seenIds = new Set();
+  const negativeZones = zones.slice(0, MAX_NEG_ZONES).map((z, i) => {
+    let id = text(z?.id, `neg-${i + 1}`);
+    while (seenIds.has(id)) id = `${id}-${i + 1}`;
+    seenIds.add(id);
+    return {
+      id,
+      text: text(z?.text, `Zone ${i + 1}`),
+      size: num(z?.size, 0.1, 10, 1),
+      wanderMult: num(z?.wanderMult, ...MULT_RANGE, 2),
+      jitterMult: num(z?.jitterMult, ...MULT_RANGE, 2),
+      color: hex(z?.color, "#ef4444"),
+      opacity: num(z?.opacity, 0.02, 0.4, 0.09),
+      severity: num(z?.severity, 0, 10, 1),
+      shape: normalizeShape(z?.shape),
+    };
+  });
+
+  const obstacles = (Array.isArray(src.obstacles) ? src.obstacles : [])
+    .slice(0, MAX_OBSTACLES)
+    .map((o, i) => ({ id: text(o?.id, `obstacle-${i + 1}`), ...normalizeShape(o) }))
+    .filter((o) => o.kind);
+
+  const disruptions = (Array.isArray(src.disruptions) ? src.disruptions : [])
+    .filter((e) => DISRUPTION_KINDS.includes(e?.kind))
+    .slice(0, MAX_SCRIPTED_DISRUPTIONS)
+    .map((e) => ({
+      at: num(e.at, 0, 36000, 60),
+      kind: e.kind,
+      duration: num(e.duration, 1, 600, 8),
+      zoneId: e.kind === "zone" && negativeZones.some((z) => z.id === e.zoneId) ? e.zoneId : null,
+    }))
+    .sort((a, b) => a.at - b.at);
+
+  const band = (b, fallback) => ({
+    text: text(b?.text, fallback.text),
+    wanderMult: num(b?.wanderMult, ...MULT_RANGE, fallback.wanderMult),
+    jitterMult: num(b?.jitterMult, ...MULT_RANGE, fallback.jitterMult),
+    color: hex(b?.color, fallback.color),
+  });
+
+  const labels = Array.isArray(src.target?.labels) ? src.target.labels : d.target.labels;
+
+  return {
+    name: text(src.name, d.name),
+    negativeEnd,
+    improveEnd,
+    negativeZones,
+    obstacles,
+    improve: band(src.improve, d.improve),
+    target: {
+      ...band(src.target, d.target),
+      area: normalizeShape(src.target?.area),
+      labels: labels
+        .map((l) => text(l, ""))
+        .filter(Boolean)
+        .slice(0, 12),
+    },
+    disruptions,
+  };
+}
+
+export function hexToRgba(color, alpha) {
+  const n = parseInt(color.slice(1), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+// Layout shape -> board pixels, with its bounding box (x0, y0, x1, y1) for renderers and lookups
+function shapeToPx(cfg, s) {
+  if (s.kind === "circle") {
+    const cx = s.x * cfg.boardW;
+    const cy = s.y * cfg.boardH;
+    const r = s.r * cfg.boardH;
+    return { kind: "circle", cx, cy, r, x0: cx - r, y0: cy - r, x1: cx + r, y1: cy + r };
+  }
+  const x0 = s.x * cfg.boardW;
+  const y0 = s.y * cfg.boardH;
+  return { kind: "rect", x0, y0, x1: x0 + s.w * cfg.boardW, y1: y0 + s.h * cfg.boardH };
+}
+
+// Is (x, y) inside a pixel shape, at least `inset` px from its edge?
+export function shapeContains(s, x, y, inset = 0) {
+  if (s.kind === "circle") return Math.hypot(x - s.cx, y - s.cy) <= s.r - inset;
+  return x >= s.x0 + inset && x < s.x1 - inset && y >= s.y0 + inset && y < s.y1 - inset;
+}
+
+// Negative zone under a point: shaped zones first, then the band strips
+export function negZoneAt(zones, x, y) {
+  for (const z of zones.negZones) if (z.shape && shapeContains(z.shape, x, y)) return z;
+  return zones.negZones.find((z) => !z.shape && x >= z.x0 && x < z.x1) ?? null;
+}
+
+// Pixel geometry for one board: what the physics loop and the renderers read
+// players > 1 splits the target into one lane per player (versus rounds)
+export function buildZones(cfg, layout = DEFAULT_LAYOUT, players = 0) {
+  const targetX = cfg.boardW - cfg.targetZoneW;
+  const negativeEndX = cfg.boardW * layout.negativeEnd;
+  const improveZoneX = Math.min(cfg.boardW * layout.improveEnd, targetX);
+
+  const strips = layout.negativeZones.filter((z) => !z.shape);
+  const totalSize = strips.reduce((sum, z) => sum + z.size, 0) || 1;
+  let x = 0;
+  const negZones = layout.negativeZones.map((z) => {
+    const bg = hexToRgba(z.color, z.opacity);
+    if (z.shape) {
+      const shape = shapeToPx(cfg, z.shape);
+      return { ...z, shape, x0: shape.x0, x1: shape.x1, y0: shape.y0, y1: shape.y1, bg };
+    }
+    const x0 = x;
+    const x1 = x0 + (negativeEndX * z.size) / totalSize;
+    x = x1;
+    return { ...z, x0, x1, y0: 0, y1: cfg.boardH, bg };
+  });
+
+  const targetArea = layout.target.area ? shapeToPx(cfg, layout.target.area) : null;
+  const targetBox = targetArea ?? { x0: targetX, y0: 0, x1: cfg.boardW, y1: cfg.boardH };
+
+  return {
+    targetX,
+    improveZoneX,
+    negativeEndX,
+    negZones,
+    obstacles: (layout.obstacles ?? []).map((o) => ({ id: o.id, ...shapeToPx(cfg, o) })),
+    improve: layout.improve,
+    target: layout.target,
+    targetArea, // null: the classic strip along the right edge
+    targetBox,
+    greenLabels: layout.target.labels,
+    targetLanes: players > 1 ? targetLanes(targetBox, players) : null,
+  };
+}
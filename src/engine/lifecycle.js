@@ -0,0 +1,127 @@
+// Puck lifecycle: work flowing through the board instead of a fixed crew
+// - complete: a puck that stays in the target for cfg.completeAfterSec without a break is done; it leaves the
+//   board, counts as completed and is kept a moment in state.lifecycle.done so the board can see it off
+// - arrive: new pucks come in at the far left, cfg.arrivalsPerMin of them a minute (evenly spaced)
+// - escalate: a puck stuck in negative zones for cfg.escalateAfterSec grows by cfg.escalateGrowth, gets
+//   cfg.escalateSpeedUp faster and cfg.escalateStubbornUp more stubborn; again for every further escalateAfterSec
+//   it stays stuck, up to MAX_ESCALATION times
+// - Each rule is off at 0, and with all three off nothing here touches the state or the rng
+// - stats.lifecycle counts arrivals, completions, escalations and completion latency (seconds from a puck's
+//   arrival, or the start of the round, to its completion)
+
+import { pushEvent } from "./events.js";
+import { negZoneAt } from "./layout.js";
+import { passLeadership } from "./social.js";
+
+export const MAX_ESCALATION = 3;
+export const MAX_LIVE_PUCKS = 500; // arrivals stop while the board is this full
+export const LEAVE_SEC = 0.6; // how long the board shows a completed puck leaving
+const MAX_DONE = 200; // completed pucks kept for names in the log and the summary
+
+export const lifecycleOn = (cfg) => cfg.completeAfterSec > 0 || cfg.arrivalsPerMin > 0 || cfg.escalateAfterSec > 0;
+
+export function createLifecycle() {
+  return {
+    arrivalDue: 0, // arrivals owed so far, the fraction carries over to the next step
+    done: [], // completed pucks, most recent last: copies with doneAt and latency
+  };
+}
+
+export function createLifecycleStats() {
+  return { arrived: 0, completed: 0, escalated: 0, latencySum: 0, latencyMax: 0 };
+}
+
+function lifeStats(state) {
+  return (state.stats.lifecycle ??= createLifecycleStats());
+}
+
+function escalate(state, p, zoneId) {
+  const { cfg } = state;
+  const g = cfg.escalateGrowth;
+  p.radius *= g;
+  p.mass *= g * g;
+  p.speedMult *= cfg.escalateSpeedUp;
+  p.stubbornness *= cfg.escalateStubbornUp;
+  p.escalation = (p.escalation ?? 0) + 1;
+  lifeStats(state).escalated += 1;
+  pushEvent(state, "escalate", { puckId: p.id, zoneId, level: p.escalation });
+}
+
+function complete(state, p) {
+  const t = state.time;
+  const latency = t - (p.bornAt ?? 0);
+  const life = state.lifecycle;
+  state.pucks.splice(state.pucks.indexOf(p), 1);
+  passLeadership(state.pucks, p);
+  delete state.lastZoneByPuck[p.id];
+  life.done.push({ ...p, doneAt: t, latency });
+  if (life.done.length > MAX_DONE) life.done.splice(0, life.done.length - MAX_DONE);
+
+  const s = lifeStats(state);
+  s.completed += 1;
+  s.latencySum += latency;
+  s.latencyMax = Math.max(s.latencyMax, latency);
+  if (state.stats.pucks[p.id]) state.stats.pucks[p.id].completedAfter = latency;
+  pushEvent(state, "complete", { puckId: p.id, seconds: latency });
+}
+
+// Once per step, after the pucks have moved. Completed pucks leave state.pucks here; returns how many new
+// pucks to add at the left edge. inTarget is isInTarget bound to the state (see socialForces)
+export function updateLifecycle(state, dt, inTarget) {
+  const { cfg } = state;
+  const t = state.time;
+  const life = state.lifecycle;
+  if (!lifecycleOn(cfg)) return 0;
+
+  if (cfg.completeAfterSec > 0 || cfg.escalateAfterSec > 0) {
+    for (const p of state.pucks.slice()) {
+      p.targetSince = inTarget(p) ? (p.targetSince ?? t) : null;
+      if (cfg.completeAfterSec > 0 && p.targetSince != null && t - p.targetSince >= cfg.completeAfterSec) {
+        complete(state, p);
+        continue;
+      }
+      const neg = negZoneAt(state.zones, p.x, p.y);
+      p.stuckSince = neg ? (p.stuckSince ?? t) : null;
+      if (
+        cfg.escalateAfterSec > 0 &&
+        neg &&
+        (p.escalation ?? 0) < MAX_ESCALATION &&
+        t - p.stuckSince >= cfg.escalateAfterSec
+      ) {
+        escalate(state, p, neg.id);
+        p.stuckSince = t; // the next one takes another escalateAfterSec
+      }
+    }
+  }
+
+  if (cfg.arrivalsPerMin <= 0) return 0;
+  life.arrivalDue += (cfg.arrivalsPerMin / 60) * dt;
+  const arrivals = Math.min(Math.floor(life.arrivalDue), Math.max(0, MAX_LIVE_PUCKS - state.pucks.length));
+  life.arrivalDue -= Math.floor(life.arrivalDue);
+  lifeStats(state).arrived += arrivals;
+  return arrivals;
+}
+
+// Completed pucks still leaving the board: [{ ...puck, left }], left running 1 -> 0 over LEAVE_SEC
+export function leavingPucks(state) {
+  const t = state.time;
+  const out = [];
+  for (const p of state.lifecycle?.done ?? []) {
+    const left = 1 - (t - p.doneAt) / LEAVE_SEC;
+    if (left > 0) out.push({ ...p, left });
+  }
+  return out;
+}
+
+// For the header: { completed, perMin (completions per sim minute), latency (average seconds, null before the
+// first one), backlog (pucks still on the board) }, or null when the lifecycle is off
+export function lifecycleStatus(state) {
+  if (!lifecycleOn(state.cfg) && !state.stats.lifecycle?.completed) return null;
+  const s = state.stats.lifecycle ?? createLifecycleStats();
+  return {
+    completed: s.completed,
+    perMin: state.time > 0 ? s.completed / (state.time / 60) : 0,
+    latency: s.completed ? s.latencySum / s.completed : null,
+    backlog: state.pucks.length,
+  };
+}
@@ -0,0 +1,169 @@
+// Game modes, checked at the end of every step() so live rounds, replays and headless runs agree
+// - endless: the classic board, never ends
+// - shift: fixed length, passed when the final score reaches options.passScore
+// - levels: every time all pucks are held for options.holdTarget seconds the next level adds pucks
+//   and ramps goal leak and jitter; clear options.levels to win, run out of options.levelTimeLimit to lose
+// - survival: lost once options.maxNegative or more pucks sit in negative zones for options.graceSec;
+//   won by lasting options.goalMinutes (0 = play until you lose)
+// - state.mode.ramp scales goal leak and jitter chance in step(), so live settings changes don't undo a level
+
+import { pushEvent } from "./events.js";
+import { negZoneAt } from "./layout.js";
+
+export const MODES = {
+  endless: {
+    label: "Endless",
+    blurb: "The classic board. Herd the pucks into the target and keep them there as long as you can.",
+    options: {},
+  },
+  shift: {
+    label: "Shift",
+    blurb: "A fixed-length shift. Your score at the final whistle decides whether you passed.",
+    options: { minutes: 8, passScore: 10000 },
+  },
+  levels: {
+    label: "Levels",
+    blurb: "Hold every puck in the target to clear a level. Each level adds pucks and makes them leakier and jumpier.",
+    options: { holdTarget: 10, levels: 8, pucksPerLevel: 2, leakStep: 0.15, jitterStep: 0.15, levelTimeLimit: 180 },
+  },
+  survival: {
+    label: "Survival",
+    blurb: "Keep the negative zones under control. Too many pucks stuck there for too long ends the round.",
+    options: { maxNegative: 3, graceSec: 5, goalMinutes: 5 },
+  },
+};
+
+// Win / lose conditions in words, for the start and results screens
+export function modeRules(id, o) {
+  switch (id) {
+    case "shift":
+      return { win: `Score ${o.passScore} or more by the end of a ${o.minutes}-minute shift`, lose: "Fall short" };
+    case "levels":
+      return {
+        win: `Clear ${o.levels} levels by holding every puck in the target for ${o.holdTarget}s each`,
+        lose: o.levelTimeLimit > 0 ? `Take longer than ${o.levelTimeLimit}s on any level` : "Never",
+      };
+    case "survival":
+      return {
+        win: o.goalMinutes > 0 ? `Last ${o.goalMinutes} minutes` : "There is no win, only a longer run",
+        lose: `${o.maxNegative} or more pucks in negative zones for ${o.graceSec}s`,
+      };
+    default:
+      return { win: "Beat your best hold", lose: "Never" };
+  }
+}
+
+// Labels and limits for the start screen's option inputs
+export const MODE_OPTION_FIELDS = {
+  minutes: { label: "Length (sim minutes)", min: 1, max: 60, step: 1 },
+  passScore: { label: "Score to pass", min: 0, max: 1000000, step: 500 },
+  holdTarget: { label: "Hold per level (s)", min: 1, max: 120, step: 1 },
+  levels: { label: "Levels", min: 1, max: 30, step: 1 },
+  pucksPerLevel: { label: "Pucks added per level", min: 0, max: 20, step: 1 },
+  leakStep: { label: "Goal leak ramp per level", min: 0, max: 2, step: 0.05 },
+  jitterStep: { label: "Jitter ramp per level", min: 0, max: 2, step: 0.05 },
+  levelTimeLimit: { label: "Time limit per level (s, 0 = none)", min: 0, max: 1200, step: 10 },
+  maxNegative: { label: "Pucks in negative zones", min: 1, max: 100, step: 1 },
+  graceSec: { label: "For longer than (s)", min: 0, max: 120, step: 1 },
+  goalMinutes: { label: "Survive for (sim minutes, 0 = forever)", min: 0, max: 60, step: 1 },
+};
+
+// mode: { id, options } from the start screen (unknown ids fall back to endless, bad options to defaults)
+export function createMode(mode) {
+  const id = mode?.id in MODES ? mode.id : "endless";
+  const options = { ...MODES[id].options };
+  for (const [k, v] of Object.entries(mode?.options ?? {})) {
+    const f = MODE_OPTION_FIELDS[k];
+    const n = Number(v);
+    if (k in options && f && Number.isFinite(n)) options[k] = Math.max(f.min, Math.min(f.max, n));
+  }
+  return {
+    id,
+    options,
+    status: "playing", // "playing" | "won" | "lost"
+    level: 1,
+    levelStartedAt: 0,
+    ramp: { leak: 1, jitter: 1 },
+    dangerSince: null, // survival: when the negative-zone count last reached the limit
+    result: null, // { won, reason, time, score, bestHoldSeconds, level }
+  };
+}
+
+function endMode(state, won, reason) {
+  const mode = state.mode;
+  mode.status = won ? "won" : "lost";
+  mode.result = {
+    won,
+    reason,
+    time: state.time,
+    score: Math.round(state.score.total),
+    bestHoldSeconds: state.bestHoldSeconds,
+    level: mode.level,
+  };
+  pushEvent(state, "roundEnd", { won, reason });
+}
+
+const negativeCount = (state) => state.pucks.filter((p) => negZoneAt(state.zones, p.x, p.y)).length;
+
+// Returns how many pucks to spawn (levels), otherwise 0
+export function updateMode(state) {
+  const mode = state.mode;
+  if (mode.status !== "playing") return 0;
+  const o = mode.options;
+  const t = state.time;
+
+  if (mode.id === "shift") {
+    if (t >= o.minutes * 60) {
+      const score = Math.round(state.score.total);
+      endMode(state, score >= o.passScore, `Shift over: ${score} of ${o.passScore} points`);
+    }
+  } else if (mode.id === "levels") {
+    // Only the part of a hold since this level began counts
+    const held = state.allHeld ? t - Math.max(state.holdStart, mode.levelStartedAt) : 0;
+    if (held >= o.holdTarget) {
+      if (mode.level >= o.levels) {
+        endMode(state, true, `Cleared all ${o.levels} levels`);
+        return 0;
+      }
+      mode.level += 1;
+      mode.levelStartedAt = t;
+      mode.ramp.leak *= 1 + o.leakStep;
+      mode.ramp.jitter *= 1 + o.jitterStep;
+      pushEvent(state, "levelUp", { level: mode.level });
+      return o.pucksPerLevel;
+    }
+    if (o.levelTimeLimit > 0 && t - mode.levelStartedAt >= o.levelTimeLimit) {
+      endMode(state, false, `Level ${mode.level} not cleared within ${o.levelTimeLimit}s`);
+    }
+  } else if (mode.id === "survival") {
+    if (negativeCount(state) >= o.maxNegative) {
+      mode.dangerSince ??= t;
+      if (t - mode.dangerSince >= o.graceSec) {
+        endMode(state, false, `${o.maxNegative}+ pucks in negative zones for ${o.graceSec}s`);
+        return 0;
+      }
+    } else {
+      mode.dangerSince = null;
+    }
+    if (o.goalMinutes > 0 && t >= o.goalMinutes * 60) endMode(state, true, `Survived ${o.goalMinutes} minutes`);
+  }
+  return 0;
+}
+
+// Short live status for the header
+export function modeStatus(state) {
+  const { mode } = state;
+  const o = mode.options;
+  const clock = (s) => `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, "0")}`;
+  if (mode.id === "shift") return `${clock(Math.max(0, o.minutes * 60 - state.time))} left`;
+  if (mode.id === "levels") {
+    const held = state.allHeld ? state.time - Math.max(state.holdStart, mode.levelStartedAt) : 0;
+    return `Level ${mode.level}/${o.levels} • ${held.toFixed(1)}/${o.holdTarget}s`;
+  }
+  if (mode.id === "survival") {
+    const danger =
+      mode.dangerSince == null ? "" : ` • ${Math.max(0, o.graceSec - (state.time - mode.dangerSince)).toFixed(1)}s!`;
+    return `${negativeCount(state)}/${o.maxNegative} in negative${danger}`;
+  }
+  return "";
+}
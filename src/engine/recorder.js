@@ -0,0 +1,168 @@
+// Session recording and replay
+// - A recording is the seed, cfg, board layout, starting pucks, game mode, disruption schedule, lifecycle and one
+//   [frameDt, x, y, down] entry per rendered frame; with several sticks the frame continues with x, y, down for
+//   each further stick
+// - down also carries the stick's tool (see packButton in tools.js); plain 0/1 is the push tool, as before tools
+// - Live settings changes are kept as [frameIndex, cfg] so the replay switches at the same moment
+// - The engine is deterministic, so replaying means re-running advance() with the recorded frames
+// - Scrubbing backwards restores the nearest checkpoint and steps forward from there
+
+import { DEFAULTS, ENGINE_VERSION, advance, createSimulation, currentZones } from "./simulation.js";
+import { stickInputs } from "./sticks.js";
+import { packButton, unpackButton } from "./tools.js";
+
+const CHECKPOINT_EVERY = 300; // frames
+
+const cloneState = (state) => structuredClone(state);
+
+export function createRecorder(state) {
+  return {
+    seed: state.seed,
+    cfg: { ...state.cfg },
+    layout: state.layout,
+    startPucks: state.pucks.map((p) => ({ ...p })),
+    startRng: { ...state.rng },
+    mode: structuredClone(state.mode),
+    disruptions: structuredClone(state.disruptions),
+    crewRng: { ...state.crewRng },
+    lifecycle: { arrivalDue: state.lifecycle.arrivalDue, done: [] }, // completed pucks are history, not needed
+    nextPuckId: state.nextPuckId,
+    versus: state.versus?.players ?? 0,
+    frames: [],
+    cfgChanges: [],
+  };
+}
+
+// Call whenever the running simulation's cfg changes mid-round
+export function recordConfig(recorder, cfg) {
+  recorder.cfgChanges.push([recorder.frames.length, { ...cfg }]);
+}
+
+// Call right before advance() with the exact input and frame time the engine receives
+export function recordFrame(recorder, input, dt) {
+  const frame = [dt];
+  for (const s of stickInputs(input)) frame.push(s.x, s.y, packButton(s));
+  recorder.frames.push(frame);
+}
+
+export function finishRecording(recorder, state) {
+  return {
+    id: `run-${Date.now().toString(36)}`,
+    engineVersion: ENGINE_VERSION,
+    createdAt: new Date().toISOString(),
+    seed: recorder.seed,
+    cfg: recorder.cfg,
+    layout: recorder.layout,
+    startPucks: recorder.startPucks,
+    startRng: recorder.startRng,
+    mode: recorder.mode,
+    disruptions: recorder.disruptions,
+    lifecycle: recorder.lifecycle,
+    crewRng: recorder.crewRng,
+    nextPuckId: recorder.nextPuckId,
+    versus: recorder.versus,
+    frames: recorder.frames,
+    cfgChanges: recorder.cfgChanges,
+    duration: state.time,
+    holdSeconds: state.bestHoldSeconds,
+  };
+}
+
+export function frameInput(frame) {
+  if (frame.length <= 4) return { x: frame[1], y: frame[2], ...unpackButton(frame[3]) };
+  const sticks = [];
+  for (let i = 1; i < frame.length; i += 3)
+    sticks.push({ x: frame[i], y: frame[i + 1], ...unpackButton(frame[i + 2]) });
+  return sticks;
+}
+
+function startState(recording) {
+  // Runs saved before a config field existed get its default
+  const state = createSimulation(
+    { ...DEFAULTS, ...recording.cfg },
+    {
+      seed: recording.seed,
+      layout: recording.layout,
+      versus: recording.versus,
+    },
+  );
+  // Pucks recorded before sizes existed are all standard ones
+  state.pucks = recording.startPucks.map((p) => ({ radius: state.cfg.puckRadius, mass: 1, ...p }));
+  if (recording.startRng) state.rng = { ...recording.startRng };
+  if (recording.mode) state.mode = structuredClone(recording.mode);
+  if (recording.disruptions) {
+    state.disruptions = structuredClone(recording.disruptions);
+    state.zones = currentZones(state);
+  }
+  if (recording.lifecycle) state.lifecycle = structuredClone(recording.lifecycle);
+  if (recording.crewRng) state.crewRng = { ...recording.crewRng };
+  state.nextPuckId = recording.nextPuckId ?? state.pucks.length;
+  return state;
+}
+
+export function createReplay(recording) {
+  const state = startState(recording);
+  return {
+    recording,
+    state,
+    frame: 0, // frames applied so far
+    elapsed: 0, // recorded frame time applied so far
+    clock: 0, // playback position in recorded seconds
+    checkpoints: new Map([[0, { state: cloneState(state), elapsed: 0 }]]),
+  };
+}
+
+function applyFrame(replay) {
+  const f = replay.recording.frames[replay.frame];
+  for (const [at, cfg] of replay.recording.cfgChanges ?? []) {
+    if (at === replay.frame) replay.state.cfg = { ...DEFAULTS, ...cfg };
+  }
+  advance(replay.state, frameInput(f), f[0]);
+  replay.elapsed += f[0];
+  replay.frame += 1;
+  if (replay.frame % CHECKPOINT_EVERY === 0 && !replay.checkpoints.has(replay.frame)) {
+    replay.checkpoints.set(replay.frame, { state: cloneState(replay.state), elapsed: replay.elapsed });
+  }
+}
+
+// Jump to an exact frame index
+export function seekReplay(replay, frame) {
+  const target = Math.max(0, Math.min(frame, replay.recording.frames.length));
+  if (target < replay.frame) {
+    const base = Math.floor(target / CHECKPOINT_EVERY) * CHECKPOINT_EVERY;
+    const from = replay.checkpoints.has(base) ? base : 0;
+    const snap = replay.checkpoints.get(from);
+    replay.state = cloneState(snap.state);
+    replay.elapsed = snap.elapsed;
+    replay.frame = from;
+  }
+  while (replay.frame < target) applyFrame(replay);
+  replay.clock = replay.elapsed;
+  return replay;
+}
+
+// Move playback forward by `seconds` of recorded time; returns false once the recording is over
+export function advanceReplay(replay, seconds) {
+  const { frames } = replay.recording;
+  replay.clock += seconds;
+  while (replay.frame < frames.length && replay.elapsed + frames[replay.frame][0] <= replay.clock) {
+    applyFrame(replay);
+  }
+  return replay.frame < frames.length;
+}
+
+// Ghost: where the recorded stick was t seconds into the round (cursor only moves forward)
+export function createGhost(recording) {
+  return { recording, index: 0, time: 0 };
+}
+
+export function ghostAt(ghost, t) {
+  const { frames } = ghost.recording;
+  while (ghost.index < frames.length && ghost.time + frames[ghost.index][0] <= t) {
+    ghost.time += frames[ghost.index][0];
+    ghost.index += 1;
+  }
+  if (ghost.index === 0) return null;
+  const input = frameInput(frames[ghost.index - 1]);
+  return Array.isArray(input) ? input[0] : input; // the ghost is the first player's stick
+}
@@ -0,0 +1,35 @@
+// Seedable PRNG (mulberry32)
+// - State is a plain { seed, state } object so it survives JSON round-trips
+// - Every random draw in the simulation goes through here, so a seed reproduces a run exactly
+
+export function createRng(seed) {
+  const s = seed >>> 0;
+  return { seed: s, state: s };
+}
+
+// Uniform float in [0, 1)
+export function random(rng) {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export const randBetween = (rng, a, b) => a + random(rng) * (b - a);
+
+// Fresh seed for a new round (the only place Math.random is allowed)
+export const makeSeed = () => Math.floor(Math.random() * 4294967296);
+
+// "1234" -> 1234, anything else ("monday") is hashed (FNV-1a) so any text works as a seed
+export function parseSeed(value) {
+  if (value == null || value === "") return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
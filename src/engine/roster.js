@@ -0,0 +1,128 @@
+// Rosters: the real tasks or people the pucks stand for
+// - Parsed from CSV (header row with at least a "name" column) or JSON (array, or { pucks: [...] })
+// - Personality columns are optional and override the random draw for that puck
+// - An optional archetype column (follower, flocker, loner, disruptor or regular) overrides the crew mix
+// - Optional radius (px) and mass columns size a puck, e.g. a big heavy one for a big project; mass defaults to
+//   going with the area (see sizePuck in simulation.js)
+
+import { ARCHETYPE_IDS } from "./social.js";
+
+export const PERSONALITY_KEYS = ["wanderMult", "jitterMult", "speedMult", "stubbornness", "leakMult"];
+const PERSONALITY_RANGE = [0.1, 5];
+export const SIZE_RANGES = { radius: [4, 60], mass: [0.1, 20] };
+export const MAX_ROSTER = 500;
+
+// Split CSV text into rows of cells (quoted fields, "" escapes, CRLF)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw new Error("The CSV file is empty");
+  const keys = header.map((h) => h.trim());
+  const canonical = Object.fromEntries(
+    ["name", "category", "archetype", ...PERSONALITY_KEYS, ...Object.keys(SIZE_RANGES)].map((k) => [
+      k.toLowerCase(),
+      k,
+    ]),
+  );
+  const columns = keys.map((k) => canonical[k.toLowerCase()] ?? null);
+  if (!columns.includes("name")) throw new Error('The CSV needs a "name" column');
+  return rows.map((cells) => {
+    const entry = {};
+    columns.forEach((key, i) => {
+      if (key && cells[i] != null && cells[i].trim() !== "") entry[key] = cells[i].trim();
+    });
+    return entry;
+  });
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.pucks;
+  if (!Array.isArray(list)) throw new Error("Expected an array of entries (or { pucks: [...] })");
+  return list;
+}
+
+// Returns { roster, skipped }; throws if nothing usable was found
+export function parseRoster(text, filename = "") {
+  const looksJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+  const raw = looksJson ? parseJson(text) : parseCsv(text);
+  const { roster, skipped } = normalizeRoster(raw);
+  if (roster.length === 0) throw new Error("No entries with a name were found");
+  return { roster, skipped };
+}
+
+export function normalizeRoster(entries) {
+  const roster = [];
+  let skipped = 0;
+  for (const e of entries ?? []) {
+    const name = typeof e?.name === "string" || typeof e?.name === "number" ? String(e.name).trim() : "";
+    if (!name || roster.length >= MAX_ROSTER) {
+      skipped += 1;
+      continue;
+    }
+    const entry = { name: name.slice(0, 60), category: e.category ? String(e.category).trim().slice(0, 40) : "" };
+    const archetype = String(e.archetype ?? "")
+      .trim()
+      .toLowerCase();
+    if (archetype === "regular" || ARCHETYPE_IDS.includes(archetype)) entry.archetype = archetype;
+    for (const k of PERSONALITY_KEYS) {
+      const v = Number(e[k]);
+      if (e[k] !== undefined && e[k] !== "" && Number.isFinite(v)) {
+        entry[k] = Math.max(PERSONALITY_RANGE[0], Math.min(PERSONALITY_RANGE[1], v));
+      }
+    }
+    for (const [k, [lo, hi]] of Object.entries(SIZE_RANGES)) {
+      const v = Number(e[k]);
+      if (e[k] !== undefined && e[k] !== "" && Number.isFinite(v)) entry[k] = Math.max(lo, Math.min(hi, v));
+    }
+    roster.push(entry);
+  }
+  return { roster, skipped };
+}
+
+// Display name for any puck (anonymous ones are numbered from 1)
+export const puckName = (p) => p.name ?? `Puck ${Number(p.id.slice(1)) + 1}`;
+
+// Same category, same colour
+export function categoryHue(category) {
+  let h = 0;
+  for (let i = 0; i < category.length; i++) h = (h * 31 + category.charCodeAt(i)) >>> 0;
+  return 10 + (h % 320);
+}
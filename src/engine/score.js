@@ -0,0 +1,71 @@
+// Continuous round score, tallied inside step() like the stats
+// - Points per puck-second in the target, partial credit in the improvement band
+// - Penalties per puck-second in each negative zone, scaled by that zone's severity (see layout.js)
+// - Streak bonuses while every puck is held: every cfg.streakEverySec pays streakBonus × streak level
+
+export function createScore() {
+  return {
+    total: 0,
+    target: 0,
+    improve: 0,
+    penalties: {}, // { [zoneId]: points lost (positive) }
+    streakBonus: 0,
+    streaks: 0, // bonuses paid this round
+    streakLevel: 0, // bonuses paid during the current hold
+  };
+}
+
+// kind: "target" | "negative" | "improve" | "between"; zone is the negative zone for "negative"
+export function scorePuck(state, kind, zone, dt) {
+  const { cfg, score } = state;
+  if (kind === "target") {
+    const pts = cfg.scoreTargetPerSec * dt;
+    score.target += pts;
+    score.total += pts;
+  } else if (kind === "improve") {
+    const pts = cfg.scoreImprovePerSec * dt;
+    score.improve += pts;
+    score.total += pts;
+  } else if (kind === "negative" && zone) {
+    const pts = cfg.scorePenaltyPerSec * zone.severity * dt;
+    score.penalties[zone.id] = (score.penalties[zone.id] ?? 0) + pts;
+    score.total -= pts;
+  }
+}
+
+// Call after hold tracking
+export function scoreHold(state) {
+  const { cfg, score } = state;
+  if (!state.allHeld) {
+    score.streakLevel = 0;
+    return;
+  }
+  if (cfg.streakEverySec <= 0) return;
+  while (state.holdSeconds >= (score.streakLevel + 1) * cfg.streakEverySec) {
+    score.streakLevel += 1;
+    score.streaks += 1;
+    const pts = cfg.streakBonus * score.streakLevel;
+    score.streakBonus += pts;
+    score.total += pts;
+  }
+}
+
+// Rounded score for the header and the leaderboard
+export const roundScore = (state) => Math.round(state.score.total);
+
+// Per-zone breakdown for the end-of-round summary: [{ id, label, severity?, points }] plus the total
+export function summarizeScore(state) {
+  const { score, zones } = state;
+  const rows = [
+    { id: "target", label: "Target", points: score.target },
+    { id: "improve", label: "Improvement band", points: score.improve },
+    ...zones.negZones.map((z) => ({
+      id: z.id,
+      label: z.text,
+      severity: z.severity,
+      points: -(score.penalties[z.id] ?? 0),
+    })),
+    { id: "streaks", label: `Streak bonuses (${score.streaks})`, points: score.streakBonus },
+  ];
+  return { rows, total: score.total };
+}
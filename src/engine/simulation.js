@@ -0,0 +1,685 @@
+// Headless puck herding simulation
+// - No DOM or React: runs in the browser, a Web Worker or Node
+// - createSimulation(cfg) builds a fresh state, step(state, input, dt) advances it
+// - step mutates the state in place (cheap for big boards) and returns it
+// - advance(state, input, frameDt) runs as many fixed-size steps as the frame time allows,
+//   so the game plays the same at 60Hz and 144Hz; renderPucks interpolates between steps
+// - All randomness comes from the seeded rng on the state, so the same seed and input replay identically
+
+import { forEachNearbyPair } from "./broadphase.js";
+import { DEFAULT_LAYOUT, buildZones, negZoneAt, normalizeLayout, shapeContains } from "./layout.js";
+import { createRng, makeSeed, random, randBetween } from "./rng.js";
+import { PERSONALITY_KEYS, categoryHue } from "./roster.js";
+import { createEventLog, pushEvent } from "./events.js";
+import { addPuckStats, createStats, tallyContact, tallyEntry, tallyPuck, tallyStickContact } from "./stats.js";
+import { MAX_STICKS, createStick, stickInputs } from "./sticks.js";
+import { createScore, scoreHold, scorePuck } from "./score.js";
+import { createMode, updateMode } from "./modes.js";
+import { archetypeMix, assignArchetypes, joinCrew, socialForces } from "./social.js";
+import { applyToolInput, stepTools } from "./tools.js";
+import { createDisruptions, disruptionEffects, growZones, updateDisruptions } from "./disruptions.js";
+import { createLifecycle, updateLifecycle } from "./lifecycle.js";
+import { tallyHeatmap } from "./heatmap.js";
+
+// Bump whenever a rule change means old recordings no longer replay identically
+export const ENGINE_VERSION = 2;
+
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+export const length = (x, y) => Math.hypot(x, y);
+export const normalize = (x, y) => {
+  const m = Math.hypot(x, y) || 1;
+  return { x: x / m, y: y / m };
+};
+
+export const DEFAULTS = {
+  puckCount: 8,
+  puckRadius: 16, // standard puck; pucks carry their own radius (and mass) from here, see sizePuck
+  puckSizeSpread: 0, // radius varies by up to ± this share of puckRadius (0 = all the same)
+  boardW: 880,
+  boardH: 460,
+  targetZoneW: 140,
+
+  // Movement
+  maxSpeed: 140, // px/sec
+  dampingPerSec: 0.62, // share of puck velocity kept after one second
+  wanderStrength: 18, // accel px/sec^2
+  jitterStrength: 34,
+  jitterChancePerSec: 0.42,
+
+  // Goal-zone leak (harder to keep them in)
+  goalLeakStrength: 26,
+
+  // Stick
+  stickRadius: 22,
+  stickPushStrength: 520,
+  stickFrictionPerSec: 0.0067, // share of stick velocity kept after one second without movement
+  stickCarryPerSec: 4.8, // share of stick velocity handed to a touched puck per second of contact
+
+  // Crew mix (shares of the pucks, see social.js) and how strongly each archetype acts
+  followerShare: 0,
+  flockerShare: 0,
+  lonerShare: 0,
+  disruptorShare: 0,
+  socialRadius: 90, // px
+  followStrength: 45, // accel px/sec^2 toward the leader
+  flockStrength: 1.5, // share of the velocity difference to the neighbours matched per second
+  lonerStrength: 60, // accel px/sec^2 away from a crowd
+  disruptStrength: 80, // accel px/sec^2 on in-target pucks near a disruptor
+
+  // Stick tools (see tools.js)
+  magnetRange: 140, // px
+  magnetStrength: 260, // accel px/sec^2 at the stick, fading to 0 at the edge of the range
+  magnetMaxSec: 3, // pull per press
+  magnetCooldownSec: 4, // recharge after a full pull
+  fenceMaxLen: 240, // px
+  fenceLifetimeSec: 6,
+  fenceCooldownSec: 5,
+  lassoImpulse: 150, // px/sec added toward the target
+  lassoMaxLen: 1400, // px of drawn path
+  lassoCooldownSec: 6,
+
+  // Disruptions (see disruptions.js)
+  disruptionEverySec: 0, // average gap between random disruptions (0 = only the layout's scripted ones)
+  disruptionWarnSec: 5, // countdown before one hits
+  disruptionDurationSec: 8, // how long a random one lasts
+  gustStrength: 70, // accel px/sec^2 toward the left
+  leakSurge: 2.5, // goal leak multiplier during a shift change
+  zoneGrowPx: 50, // how far an audited zone grows on every side
+
+  // Puck lifecycle (see lifecycle.js; 0 switches a rule off)
+  completeAfterSec: 0, // unbroken seconds in the target until a puck is done and leaves
+  arrivalsPerMin: 0, // new pucks coming in at the far left
+  escalateAfterSec: 0, // seconds stuck in negative zones until a puck escalates
+  escalateGrowth: 1.2, // radius multiplier per escalation (mass goes with the area)
+  escalateSpeedUp: 1.2, // top speed multiplier per escalation
+  escalateStubbornUp: 1.25, // stubbornness multiplier per escalation
+
+  // Collisions
+  wallBounce: 0.92,
+  puckRestitution: 0.9,
+
+  // Alerts
+  alertFlashMs: 450,
+
+  // Scoring (see score.js)
+  scoreTargetPerSec: 10, // points per puck-second in the target
+  scoreImprovePerSec: 2, // partial credit in the improvement band
+  scorePenaltyPerSec: 4, // per puck-second in a negative zone, times the zone's severity
+  streakEverySec: 10, // an all-held hold pays a bonus every this many seconds...
+  streakBonus: 50, // ...of streakBonus × streak level (50, 100, 150, ...)
+
+  // Integrator
+  fixedStepHz: 120,
+  maxSubsteps: 8, // per frame; extra time is dropped so a stalled tab doesn't fast-forward
+};
+
+const SPAWN_PADDING = 28;
+
+// One random puck somewhere in xMin..xMax (the order of the rng draws is part of the replay format)
+function rollPuck(cfg, rng, id, xMin, xMax) {
+  const padding = SPAWN_PADDING;
+  const p = {
+    id,
+    x: randBetween(rng, xMin, xMax),
+    y: randBetween(rng, padding, cfg.boardH - padding),
+    vx: randBetween(rng, -25, 25),
+    vy: randBetween(rng, -25, 25),
+
+    wx: randBetween(rng, -1, 1),
+    wy: randBetween(rng, -1, 1),
+
+    // Personality
+    wanderMult: randBetween(rng, 0.6, 1.6),
+    jitterMult: randBetween(rng, 0.6, 1.4),
+    speedMult: randBetween(rng, 0.7, 1.3),
+    stubbornness: randBetween(rng, 0.8, 1.3),
+    leakMult: randBetween(rng, 0.7, 1.4),
+
+    hue: Math.round(randBetween(rng, 10, 330)),
+
+    radius: cfg.puckRadius,
+    mass: 1,
+  };
+  // Drawn only when sizes vary, so boards without a spread keep their old random sequence
+  if (cfg.puckSizeSpread > 0) {
+    const spread = Math.min(0.8, cfg.puckSizeSpread);
+    sizePuck(cfg, p, cfg.puckRadius * (1 + randBetween(rng, -spread, spread)));
+  }
+  return p;
+}
+
+// Mass goes with the area unless given: a puck twice as wide is four times as heavy
+export function sizePuck(cfg, p, radius, mass) {
+  p.radius = radius;
+  p.mass = mass ?? (radius / cfg.puckRadius) ** 2;
+  return p;
+}
+
+// Largest radius on the board (the collision broadphase needs cells at least two of these wide)
+export const maxPuckRadius = (pucks, fallback) => pucks.reduce((m, p) => Math.max(m, p.radius), fallback);
+
+// roster: optional [{ name, category, archetype?, ...personality overrides }]; its length replaces cfg.puckCount
+// mix: archetype shares (see social.js), cfg's by default
+export function makePucks(cfg, rng, roster = null, mix = archetypeMix(cfg)) {
+  const padding = SPAWN_PADDING;
+  const pucks = [];
+  const count = roster ? roster.length : cfg.puckCount;
+  for (let i = 0; i < count; i++) {
+    const p = rollPuck(cfg, rng, `p${i}`, padding, cfg.boardW - cfg.targetZoneW - padding * 1.2);
+
+    // Roster entries keep the same random draws (so seeds stay comparable) and then override them
+    const entry = roster?.[i];
+    if (entry) {
+      p.name = entry.name;
+      p.category = entry.category || "";
+      if (p.category) p.hue = categoryHue(p.category);
+      for (const k of PERSONALITY_KEYS) if (entry[k] != null) p[k] = entry[k];
+      if (entry.radius != null || entry.mass != null) sizePuck(cfg, p, entry.radius ?? p.radius, entry.mass);
+    }
+    pucks.push(p);
+  }
+  return assignArchetypes(pucks, mix, roster);
+}
+
+// Overlap and impulse are shared by inverse mass: the lighter puck gives way more
+export function resolvePuckPuck(a, b, restitution) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const dist = Math.hypot(dx, dy) || 0.0001;
+  const minDist = a.radius + b.radius;
+  if (dist >= minDist) return;
+
+  const nx = dx / dist;
+  const ny = dy / dist;
+  const overlap = minDist - dist;
+  const ia = 1 / a.mass;
+  const ib = 1 / b.mass;
+  const shareA = ia / (ia + ib);
+  const shareB = ib / (ia + ib);
+
+  a.x -= nx * overlap * shareA;
+  a.y -= ny * overlap * shareA;
+  b.x += nx * overlap * shareB;
+  b.y += ny * overlap * shareB;
+
+  const rvx = b.vx - a.vx;
+  const rvy = b.vy - a.vy;
+  const velAlongNormal = rvx * nx + rvy * ny;
+  if (velAlongNormal > 0) return;
+
+  const j = (-(1 + restitution) * velAlongNormal) / (ia + ib);
+  const impX = j * nx;
+  const impY = j * ny;
+
+  a.vx -= impX * ia;
+  a.vy -= impY * ia;
+  b.vx += impX * ib;
+  b.vy += impY * ib;
+}
+
+// Push a puck out of a static obstacle and bounce it off the side it hit; false when they don't touch
+export function resolveObstacle(p, o, r, bounce) {
+  let nx = 0;
+  let ny = 0;
+  let depth = 0;
+  if (o.kind === "circle") {
+    const dx = p.x - o.cx;
+    const dy = p.y - o.cy;
+    const d = Math.hypot(dx, dy) || 0.0001;
+    depth = o.r + r - d;
+    nx = dx / d;
+    ny = dy / d;
+  } else if (o.kind === "segment") {
+    // A wall of width 2 × o.r from (x0, y0) to (x1, y1): like a circle around the nearest point on it
+    const sx = o.x1 - o.x0;
+    const sy = o.y1 - o.y0;
+    const u = clamp(((p.x - o.x0) * sx + (p.y - o.y0) * sy) / (sx * sx + sy * sy || 1), 0, 1);
+    const dx = p.x - (o.x0 + sx * u);
+    const dy = p.y - (o.y0 + sy * u);
+    const d = Math.hypot(dx, dy);
+    depth = o.r + r - d;
+    nx = d > 0 ? dx / d : -sy / (Math.hypot(sx, sy) || 1);
+    ny = d > 0 ? dy / d : sx / (Math.hypot(sx, sy) || 1);
+  } else {
+    const dx = p.x - clamp(p.x, o.x0, o.x1);
+    const dy = p.y - clamp(p.y, o.y0, o.y1);
+    const d = Math.hypot(dx, dy);
+    if (d > 0) {
+      depth = r - d;
+      nx = dx / d;
+      ny = dy / d;
+    } else {
+      // Centre inside the rectangle: leave through the nearest side
+      const sides = [
+        [p.x - o.x0, -1, 0],
+        [o.x1 - p.x, 1, 0],
+        [p.y - o.y0, 0, -1],
+        [o.y1 - p.y, 0, 1],
+      ];
+      const [gap, sx, sy] = sides.reduce((a, s) => (s[0] < a[0] ? s : a));
+      depth = gap + r;
+      nx = sx;
+      ny = sy;
+    }
+  }
+  if (depth <= 0) return false;
+  p.x += nx * depth;
+  p.y += ny * depth;
+  const vn = p.vx * nx + p.vy * ny;
+  if (vn < 0) {
+    p.vx -= (1 + bounce) * vn * nx;
+    p.vy -= (1 + bounce) * vn * ny;
+  }
+  return true;
+}
+
+// A freshly placed puck must not start inside an obstacle
+function clearObstacles(state, p) {
+  for (const o of state.zones.obstacles) resolveObstacle(p, o, p.radius, 0);
+}
+
+// Inside the target strip (or the layout's target area) by a little more than the edge.
+// In a versus round a puck only counts inside its owner's lane
+export function isInTarget(state, p) {
+  const { zones } = state;
+  const inset = p.radius * 0.4;
+  if (zones.targetArea ? !shapeContains(zones.targetArea, p.x, p.y, inset) : p.x < zones.targetX + inset) {
+    return false;
+  }
+  const lane = p.owner != null ? zones.targetLanes?.[p.owner] : null;
+  return !lane || (p.y >= lane.y0 && p.y < lane.y1);
+}
+
+// Where a puck is: { kind: "target" | "negative" | "improve" | "between", zone }
+export function zoneOf(state, p) {
+  const { zones } = state;
+  if (isInTarget(state, p)) return { kind: "target", zone: zones.target };
+  const neg = negZoneAt(zones, p.x, p.y);
+  if (neg) return { kind: "negative", zone: neg };
+  if (p.x < zones.improveZoneX) return { kind: "improve", zone: zones.improve };
+  return { kind: "between", zone: null };
+}
+
+// Puck under a board point (closest one if they overlap), or null
+export function puckAt(state, x, y) {
+  let best = null;
+  let bestD = Infinity;
+  for (const p of state.pucks) {
+    const d = Math.hypot(p.x - x, p.y - y);
+    if (d <= p.radius && d < bestD) {
+      best = p;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+// Archetypes for pucks that arrive mid-round come from their own stream, so a crew mix doesn't change the puck
+// draws that follow
+export const createCrewRng = (seed) => createRng((seed ^ 0x85ebca6b) >>> 0);
+
+// A new puck somewhere in the negative band (levels, and anything else that adds pucks mid-round);
+// xMax narrows where it may appear, e.g. right at the left edge
+export function spawnPuck(state, xMax = state.zones.negativeEndX - SPAWN_PADDING) {
+  const { cfg, rng } = state;
+  const p = rollPuck(cfg, rng, `p${state.nextPuckId}`, SPAWN_PADDING, Math.max(SPAWN_PADDING + 1, xMax));
+  if (state.versus) p.owner = state.nextPuckId % state.versus.players;
+  p.bornAt = state.time; // for completion latency (pucks on the board from the start count from 0)
+  joinCrew(state.pucks, p, archetypeMix(cfg), state.crewRng);
+  clearObstacles(state, p);
+  state.nextPuckId += 1;
+  state.pucks.push(p);
+  addPuckStats(state.stats, p.id);
+  return p;
+}
+
+// The zones as they stand right now: the layout's, with any disruption growing one of them
+export const currentZones = (state) =>
+  growZones(state, buildZones(state.cfg, state.layout, state.versus?.players ?? 0));
+
+// opts.seed: reuse a seed to get the exact same starting board (defaults to a fresh one)
+// opts.layout: board layout (zones and scripted disruptions); defaults to the classic five negative strips
+// opts.roster: named pucks (see roster.js); without one cfg.puckCount anonymous pucks are made
+// opts.mode: { id, options } (see modes.js); defaults to endless
+// opts.versus: number of competing players (2-4); each owns every n-th puck and one target lane
+export function createSimulation(cfg, opts = {}) {
+  const seed = opts.seed ?? makeSeed();
+  const rng = createRng(seed);
+  const layout = normalizeLayout(opts.layout ?? DEFAULT_LAYOUT);
+  const pucks = makePucks(cfg, rng, opts.roster ?? null);
+  const players = opts.versus > 1 ? Math.min(MAX_STICKS, Math.floor(opts.versus)) : 0;
+  if (players) pucks.forEach((p, i) => (p.owner = i % players));
+  const zones = buildZones(cfg, layout, players);
+  for (const p of pucks) for (const o of zones.obstacles) resolveObstacle(p, o, p.radius, 0);
+  return {
+    cfg,
+    layout,
+    zones,
+    seed: rng.seed,
+    rng,
+    time: 0, // simulated seconds
+    accumulator: 0, // frame time not yet consumed by a fixed step
+    alpha: 0, // interpolation factor between the previous and current step
+    pucks,
+    nextPuckId: pucks.length,
+    mode: createMode(opts.mode),
+    // Grows as more players join (see sticks.js); versus players start level with their own lane
+    sticks: players
+      ? Array.from({ length: players }, (_, i) => createStick(cfg, ((i + 0.5) * cfg.boardH) / players))
+      : [createStick(cfg)],
+    versus: players ? { players, scores: Array(players).fill(0), inTarget: Array(players).fill(0) } : null,
+    fences: [], // walls dropped with the fence tool: { kind: "segment", x0, y0, x1, y1, r, until }
+    disruptions: createDisruptions(rng.seed),
+    lifecycle: createLifecycle(),
+    crewRng: createCrewRng(rng.seed),
+
+    // Hold tracking
+    holdStart: null,
+    holdSeconds: 0,
+    bestHoldSeconds: 0,
+    allHeld: false,
+    inTargetCount: 0,
+
+    // Zone alerts
+    lastZoneByPuck: {}, // { [puckId]: zoneId | null }
+    alertUntil: {}, // { [zoneId]: time }
+    activeAlerts: {}, // { [zoneId]: true }
+
+    // Session analytics (see stats.js), score (see score.js) and event log (see events.js)
+    stats: createStats(pucks),
+    score: createScore(),
+    events: createEventLog(),
+  };
+}
+
+// Feed the latest pointer samples into the sticks (one per slot).
+// Velocity comes from how far the stick moved over dt; when it stays put it keeps decaying in step().
+function applyStickInput(state, input, dt) {
+  if (!input) return;
+  stickInputs(input).forEach((inp, slot) => {
+    if (!inp) return;
+    while (state.sticks.length <= slot) state.sticks.push(createStick(state.cfg));
+    applyToolInput(state, state.sticks[slot], inp);
+    moveStick(state.cfg, state.sticks[slot], inp, dt);
+  });
+}
+
+function moveStick(cfg, s, input, dt) {
+  const pressed = input.down && !s.down;
+  const moved = input.x !== s.x || input.y !== s.y;
+  if (pressed) {
+    s.vx = 0;
+    s.vy = 0;
+  } else if (moved && dt > 0) {
+    s.vx = clamp((input.x - s.x) / dt, -cfg.maxSpeed * 3, cfg.maxSpeed * 3);
+    s.vy = clamp((input.y - s.y) / dt, -cfg.maxSpeed * 3, cfg.maxSpeed * 3);
+  }
+  s.x = input.x;
+  s.y = input.y;
+  s.down = !!input.down;
+}
+
+// input: { x, y, down, tool? } in board coordinates (or an array of them, one per stick), or null to leave them be
+export function step(state, input, dt) {
+  const { cfg, rng } = state;
+
+  applyStickInput(state, input, dt);
+  state.time += dt;
+  const t = state.time;
+
+  // Disruptions hit before anything moves; arrivals come in at the far left
+  const disrupted = updateDisruptions(state);
+  if (disrupted.zonesChanged) state.zones = currentZones(state);
+  for (let i = 0; i < disrupted.arrivals; i++) spawnPuck(state, SPAWN_PADDING * 2);
+  const disruption = disruptionEffects(state);
+
+  const { zones } = state;
+  const { improveZoneX, targetX, improve, target } = zones;
+  const sticks = state.sticks;
+  const pucks = state.pucks;
+  const damping = Math.pow(cfg.dampingPerSec, dt);
+  const social = socialForces(state, (p) => isInTarget(state, p));
+  stepTools(state, dt);
+
+  // Physics
+  for (const p of pucks) {
+    // Previous position, for interpolated rendering
+    p.px = p.x;
+    p.py = p.y;
+
+    // Which negative zone (if any)?
+    const neg = negZoneAt(zones, p.x, p.y);
+    const seen = p.id in state.lastZoneByPuck;
+    const prevZone = state.lastZoneByPuck[p.id] ?? null;
+    const currentZone = neg ? neg.id : null;
+
+    // Flash when a puck ENTERS a zone (starting inside one flashes too, but isn't counted as an entry)
+    if (seen && prevZone && currentZone !== prevZone) {
+      pushEvent(state, "zoneExit", { puckId: p.id, zoneId: prevZone });
+    }
+    if (currentZone && currentZone !== prevZone) {
+      state.alertUntil[currentZone] = t + cfg.alertFlashMs / 1000;
+      if (seen) {
+        tallyEntry(state.stats, p.id, currentZone);
+        pushEvent(state, "zoneEnter", { puckId: p.id, zoneId: currentZone });
+      }
+    }
+    state.lastZoneByPuck[p.id] = currentZone;
+
+    // Zone multipliers
+    const inTarget = isInTarget(state, p);
+    const zone = neg ?? (inTarget ? target : p.x < improveZoneX ? improve : target);
+
+    // Time in zone
+    const kind = inTarget ? "target" : neg ? "negative" : p.x < improveZoneX ? "improve" : "between";
+    tallyPuck(state.stats, p.id, kind, currentZone, dt);
+    scorePuck(state, kind, neg, dt);
+
+    // Wander
+    p.wx = clamp(p.wx + randBetween(rng, -0.12, 0.12) * dt, -1, 1);
+    p.wy = clamp(p.wy + randBetween(rng, -0.12, 0.12) * dt, -1, 1);
+    const w = normalize(p.wx, p.wy);
+    const wanderForce = cfg.wanderStrength * p.wanderMult * zone.wanderMult;
+    p.vx += w.x * wanderForce * dt;
+    p.vy += w.y * wanderForce * dt;
+
+    // Goal leak (out through the left edge of the strip, or away from the middle of a target area)
+    const leak = cfg.goalLeakStrength * state.mode.ramp.leak * disruption.leak * p.leakMult;
+    if (zones.targetArea) {
+      const a = zones.targetArea;
+      if (shapeContains(a, p.x, p.y)) {
+        const cx = (a.x0 + a.x1) / 2;
+        const cy = (a.y0 + a.y1) / 2;
+        const half = Math.min(a.x1 - a.x0, a.y1 - a.y0) / 2;
+        const depth = clamp(1 - Math.hypot(p.x - cx, p.y - cy) / half, 0, 1);
+        const out = normalize(p.x - cx, p.y - cy);
+        p.vx += out.x * leak * (0.35 + 0.65 * depth) * dt;
+        p.vy += out.y * leak * (0.35 + 0.65 * depth) * dt;
+      }
+    } else if (p.x > targetX) {
+      const depth = clamp((p.x - targetX) / cfg.targetZoneW, 0, 1);
+      p.vx -= leak * (0.35 + 0.65 * depth) * dt;
+    }
+
+    // Gust (a disruption): everything is blown left
+    if (disruption.gust) p.vx -= (disruption.gust / p.mass) * dt;
+
+    // Jitter (Poisson arrival, so the chance per second doesn't depend on the step size)
+    const jitterRate = cfg.jitterChancePerSec * state.mode.ramp.jitter * p.jitterMult * zone.jitterMult;
+    if (random(rng) < 1 - Math.exp(-jitterRate * dt)) {
+      const j = normalize(randBetween(rng, -1, 1), randBetween(rng, -1, 1));
+      p.vx += j.x * cfg.jitterStrength * p.jitterMult;
+      p.vy += j.y * cfg.jitterStrength * p.jitterMult;
+    }
+
+    // Crew influence
+    const pull = social?.get(p.id);
+    if (pull) {
+      p.vx += pull.ax * dt;
+      p.vy += pull.ay * dt;
+    }
+
+    // Stick push (every pressed stick holding the push tool)
+    let touchedBy = -1;
+    for (let slot = 0; slot < sticks.length; slot++) {
+      const s = sticks[slot];
+      let near = false;
+      if (s.down && (s.tool ?? "push") === "push") {
+        const dx = p.x - s.x;
+        const dy = p.y - s.y;
+        const d = length(dx, dy);
+        const reach = p.radius + cfg.stickRadius + 6;
+        if (d < reach) {
+          near = true;
+          const n = normalize(dx, dy);
+          const closeness = 1 - d / reach;
+          const impulse = (cfg.stickPushStrength * closeness) / p.stubbornness;
+          // Heavier pucks take the same shove more slowly
+          p.vx += ((n.x * impulse + s.vx * cfg.stickCarryPerSec) / p.mass) * dt;
+          p.vy += ((n.y * impulse + s.vy * cfg.stickCarryPerSec) / p.mass) * dt;
+        }
+      }
+      if (near && touchedBy < 0) touchedBy = slot;
+      tallyStickContact(state.stats, slot, p.id, near, dt);
+    }
+    if (tallyContact(state.stats, p.id, touchedBy >= 0)) {
+      pushEvent(state, "stickContact", { puckId: p.id, stick: touchedBy });
+    }
+
+    // Cap speed
+    const maxSp = cfg.maxSpeed * p.speedMult;
+    const sp = Math.hypot(p.vx, p.vy);
+    if (sp > maxSp) {
+      p.vx = (p.vx / sp) * maxSp;
+      p.vy = (p.vy / sp) * maxSp;
+    }
+
+    // Integrate
+    p.x += p.vx * dt;
+    p.y += p.vy * dt;
+
+    // Damping
+    p.vx *= damping;
+    p.vy *= damping;
+
+    // Walls
+    const r = p.radius;
+    if (p.x < r) {
+      p.x = r;
+      p.vx = Math.abs(p.vx) * cfg.wallBounce;
+    }
+    if (p.x > cfg.boardW - r) {
+      p.x = cfg.boardW - r;
+      p.vx = -Math.abs(p.vx) * cfg.wallBounce;
+    }
+    if (p.y < r) {
+      p.y = r;
+      p.vy = Math.abs(p.vy) * cfg.wallBounce;
+    }
+    if (p.y > cfg.boardH - r) {
+      p.y = cfg.boardH - r;
+      p.vy = -Math.abs(p.vy) * cfg.wallBounce;
+    }
+  }
+
+  // Collisions (grid broadphase, so hundreds of pucks stay cheap)
+  forEachNearbyPair(pucks, maxPuckRadius(pucks, cfg.puckRadius) * 2, cfg.boardW, cfg.boardH, (a, b) =>
+    resolvePuckPuck(a, b, cfg.puckRestitution),
+  );
+
+  // Obstacles last, so nothing is left overlapping one when the frame is drawn (the stick passes over them)
+  for (const o of zones.obstacles) {
+    for (const p of pucks) resolveObstacle(p, o, p.radius, cfg.wallBounce);
+  }
+  for (const f of state.fences) {
+    for (const p of pucks) resolveObstacle(p, f, p.radius, cfg.wallBounce);
+  }
+
+  // Stick friction
+  const stickFriction = Math.pow(cfg.stickFrictionPerSec, dt);
+  for (const s of sticks) {
+    s.vx *= stickFriction;
+    s.vy *= stickFriction;
+  }
+
+  // Lifecycle: finished pucks leave, stuck ones escalate, new ones come in at the far left
+  const arrivals = updateLifecycle(state, dt, (p) => isInTarget(state, p));
+  for (let i = 0; i < arrivals; i++) spawnPuck(state, SPAWN_PADDING * 2);
+
+  state.stats.duration += dt;
+  tallyHeatmap(state.stats, cfg, pucks, dt);
+
+  // Hold tracking
+  state.inTargetCount = pucks.filter((p) => isInTarget(state, p)).length;
+  if (pucks.length > 0 && state.inTargetCount === pucks.length) {
+    if (state.holdStart == null) {
+      state.holdStart = t;
+      pushEvent(state, "holdStart");
+    }
+    state.holdSeconds = t - state.holdStart;
+    state.bestHoldSeconds = Math.max(state.bestHoldSeconds, state.holdSeconds);
+    state.allHeld = true;
+  } else {
+    if (state.holdStart != null) {
+      const leaver = pucks.find((p) => !isInTarget(state, p));
+      pushEvent(state, "holdBreak", { puckId: leaver?.id, seconds: state.holdSeconds });
+    }
+    state.holdStart = null;
+    state.holdSeconds = 0;
+    state.allHeld = false;
+  }
+  scoreHold(state);
+  if (state.versus) tallyVersus(state, dt);
+  const spawn = updateMode(state);
+  for (let i = 0; i < spawn; i++) spawnPuck(state);
+
+  // Active alerts for this step; drop expired
+  const active = {};
+  const until = state.alertUntil;
+  for (const k of Object.keys(until)) {
+    if (until[k] > t) active[k] = true;
+    else delete until[k];
+  }
+  state.activeAlerts = active;
+
+  return state;
+}
+
+// Versus: points for each player's own pucks in their own lane (same rate as the shared score's target points)
+function tallyVersus(state, dt) {
+  const v = state.versus;
+  v.inTarget.fill(0);
+  for (const p of state.pucks) {
+    if (p.owner == null || !isInTarget(state, p)) continue;
+    v.inTarget[p.owner] += 1;
+    v.scores[p.owner] += state.cfg.scoreTargetPerSec * dt;
+  }
+}
+
+// Frame driver: applies the input once, then steps at cfg.fixedStepHz as often as frameDt allows.
+// The accumulator lives on the state, so replaying the same frame times reproduces the run.
+export function advance(state, input, frameDt) {
+  const { cfg } = state;
+  const h = 1 / cfg.fixedStepHz;
+
+  applyStickInput(state, input, frameDt);
+  state.accumulator = Math.min(state.accumulator + Math.max(0, frameDt), h * cfg.maxSubsteps);
+  let steps = 0;
+  while (state.accumulator >= h) {
+    step(state, null, h);
+    state.accumulator -= h;
+    steps += 1;
+  }
+  state.alpha = state.accumulator / h;
+  return steps;
+}
+
+// Copies of the pucks at their interpolated render position
+export function renderPucks(state) {
+  const a = state.alpha;
+  return state.pucks.map((p) => ({
+    ...p,
+    x: p.px == null ? p.x : p.px + (p.x - p.px) * a,
+    y: p.py == null ? p.y : p.py + (p.y - p.py) * a,
+  }));
+}
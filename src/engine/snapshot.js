@@ -0,0 +1,103 @@
+// Save / resume of an in-progress board
+// - A snapshot is the whole simulation state as plain JSON (zones are rebuilt from cfg + layout on restore)
+// - SNAPSHOT_VERSION is the save format; bump it and add a step to MIGRATIONS whenever the shape changes
+// - Restore also backfills anything a save predates (new config fields, per-puck traits, stats, events),
+//   so additive rule changes don't need a migration at all
+
+import { DEFAULTS, ENGINE_VERSION, createCrewRng, currentZones } from "./simulation.js";
+import { normalizeLayout } from "./layout.js";
+import { createDisruptions } from "./disruptions.js";
+import { createLifecycle } from "./lifecycle.js";
+import { PERSONALITY_KEYS } from "./roster.js";
+import { addPuckStats, createStats } from "./stats.js";
+import { createEventLog } from "./events.js";
+import { createScore } from "./score.js";
+import { createMode } from "./modes.js";
+import { createStick } from "./sticks.js";
+import { createToolStats } from "./tools.js";
+
+export const SNAPSHOT_VERSION = 1;
+
+// [fromVersion]: snapshot => snapshot at fromVersion + 1
+const MIGRATIONS = {};
+
+// extras: anything the app wants back on resume (pause state, pointer position, the round's recording)
+export function createSnapshot(state, extras = {}) {
+  const { zones, ...rest } = state;
+  return {
+    version: SNAPSHOT_VERSION,
+    engineVersion: ENGINE_VERSION,
+    savedAt: new Date().toISOString(),
+    state: rest,
+    ...extras,
+  };
+}
+
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object" || !snapshot.state) throw new Error("Not a saved board");
+  let snap = snapshot;
+  let version = snap.version ?? 0;
+  if (version > SNAPSHOT_VERSION) throw new Error("Saved by a newer version of the game");
+  while (version < SNAPSHOT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration for save format v${version}`);
+    snap = migrate(snap);
+    version += 1;
+  }
+  return { ...snap, version };
+}
+
+function restorePuck(cfg, p) {
+  const puck = { wx: 0, wy: 0, hue: 200, radius: cfg.puckRadius, mass: 1, ...p };
+  for (const k of PERSONALITY_KEYS) if (typeof puck[k] !== "number") puck[k] = 1;
+  puck.px ??= puck.x;
+  puck.py ??= puck.y;
+  return puck;
+}
+
+// Returns a live simulation state; throws on anything that can't be made sense of
+export function restoreSnapshot(snapshot) {
+  const snap = migrateSnapshot(snapshot);
+  const saved = snap.state;
+  if (!Array.isArray(saved.pucks) || !saved.rng) throw new Error("Saved board is incomplete");
+
+  const cfg = { ...DEFAULTS, ...saved.cfg };
+  const layout = normalizeLayout(saved.layout);
+  const { stick, ...savedState } = saved; // single-stick saves predate state.sticks
+  const pucks = saved.pucks.map((p) => restorePuck(cfg, p));
+  const stats = saved.stats ?? createStats(pucks);
+  for (const p of pucks) addPuckStats(stats, p.id);
+  stats.sticks ??= [];
+  stats.tools ??= createToolStats();
+
+  const state = {
+    time: 0,
+    accumulator: 0,
+    alpha: 0,
+    holdStart: null,
+    holdSeconds: 0,
+    bestHoldSeconds: 0,
+    allHeld: false,
+    inTargetCount: 0,
+    lastZoneByPuck: {},
+    alertUntil: {},
+    activeAlerts: {},
+    versus: null,
+    fences: [],
+    ...savedState,
+    cfg,
+    layout,
+    pucks,
+    nextPuckId: saved.nextPuckId ?? pucks.length,
+    mode: saved.mode ?? createMode(),
+    sticks: (saved.sticks ?? [stick]).map((s) => ({ ...createStick(cfg), ...s })),
+    stats,
+    score: { ...createScore(), ...saved.score },
+    events: saved.events ?? createEventLog(),
+    disruptions: saved.disruptions ?? createDisruptions(saved.seed ?? saved.rng.seed),
+    lifecycle: { ...createLifecycle(), ...saved.lifecycle },
+    crewRng: saved.crewRng ?? createCrewRng(saved.seed ?? saved.rng.seed),
+  };
+  state.zones = currentZones(state); // rebuilt, with any zone a disruption is growing
+  return state;
+}
@@ -0,0 +1,180 @@
+// Crew archetypes: pucks that react to each other, not just bump into each other
+// - follower: steers toward its leader (puck.leaderId, the crew's first regular puck) and eases off close by
+// - flocker: matches the average velocity of the pucks around it
+// - loner: moves away from the middle of whatever crowd is around it, harder the bigger the crowd
+// - disruptor: drags nearby pucks that sit in the target out of it (toward itself, or out through the nearest
+//   edge when it is in the target too)
+// - The mix comes from cfg (followerShare etc., shares of the crew) or a roster's archetype column; with no
+//   archetypes on the board socialForces returns null and step() does exactly what it did before
+// - "Nearby" is cfg.socialRadius; strengths are cfg.followStrength, flockStrength, lonerStrength, disruptStrength
+// - Pucks that turn up mid-round join the mix too (joinCrew), and when the leader leaves the board the role
+//   passes on (passLeadership), so a crew stays a crew while work flows through (see lifecycle.js)
+
+import { forEachNearbyPair } from "./broadphase.js";
+import { random } from "./rng.js";
+
+export const ARCHETYPES = {
+  follower: { label: "Follower", glyph: "F", share: "followerShare" },
+  flocker: { label: "Flocker", glyph: "≈", share: "flockerShare" },
+  loner: { label: "Loner", glyph: "L", share: "lonerShare" },
+  disruptor: { label: "Disruptor", glyph: "!", share: "disruptorShare" },
+};
+export const ARCHETYPE_IDS = Object.keys(ARCHETYPES);
+export const LEADER_GLYPH = "★";
+
+// Badge drawn on a puck ("" for a regular one)
+export const puckGlyph = (p) => (p.leader ? LEADER_GLYPH : (ARCHETYPES[p.archetype]?.glyph ?? ""));
+
+// { follower, flocker, loner, disruptor } shares of the crew, from cfg
+export const archetypeMix = (cfg) =>
+  Object.fromEntries(ARCHETYPE_IDS.map((id) => [id, cfg[ARCHETYPES[id].share] ?? 0]));
+
+// Spreads the mix evenly over the pucks (no rng, so seeds stay comparable with and without a mix), lets roster
+// entries override it and hands every follower a leader
+export function assignArchetypes(pucks, mix, roster = null) {
+  const n = pucks.length;
+  const wanted = [];
+  for (const id of ARCHETYPE_IDS) {
+    const count = Math.round(Math.max(0, mix?.[id] ?? 0) * n);
+    for (let i = 0; i < count && wanted.length < n; i++) wanted.push(id);
+  }
+  wanted.forEach((id, j) => (pucks[Math.floor(((j + 0.5) * n) / wanted.length)].archetype = id));
+  roster?.forEach((entry, i) => {
+    if (entry?.archetype && pucks[i]) pucks[i].archetype = entry.archetype === "regular" ? undefined : entry.archetype;
+  });
+
+  for (const p of pucks) if (!p.archetype) delete p.archetype;
+  const followers = pucks.filter((p) => p.archetype === "follower");
+  if (followers.length === 0) return pucks;
+  const leader = pucks.find((p) => p.archetype !== "follower") ?? followers[0];
+  if (leader.archetype === "follower") delete leader.archetype;
+  leader.leader = true;
+  for (const p of followers) if (p !== leader) p.leaderId = leader.id;
+  return pucks;
+}
+
+// A puck arriving mid-round: an archetype drawn by the mix's shares (rng is the state's crew stream, and nothing
+// is drawn without a mix, so seeds stay comparable); a follower follows the board's leader, or leads if there is none
+export function joinCrew(pucks, p, mix, rng) {
+  const total = ARCHETYPE_IDS.reduce((a, id) => a + Math.max(0, mix?.[id] ?? 0), 0);
+  if (total <= 0) return p;
+  let r = random(rng);
+  for (const id of ARCHETYPE_IDS) {
+    r -= Math.max(0, mix[id] ?? 0);
+    if (r < 0) {
+      p.archetype = id;
+      break;
+    }
+  }
+  if (p.archetype !== "follower") return p;
+  const leader = pucks.find((q) => q.leader && q !== p);
+  if (leader) {
+    p.leaderId = leader.id;
+  } else {
+    delete p.archetype;
+    p.leader = true;
+    for (const q of pucks) if (q.archetype === "follower" && q !== p) q.leaderId = p.id;
+  }
+  return p;
+}
+
+// The leader has left the board (pucks no longer holds it): the first non-follower takes its followers over,
+// or, with only followers left, the first of them stops following and leads
+export function passLeadership(pucks, gone) {
+  if (!gone.leader) return;
+  const followers = pucks.filter((p) => p.leaderId === gone.id);
+  if (followers.length === 0) return;
+  const next = pucks.find((p) => p.archetype !== "follower") ?? followers[0];
+  if (next.archetype === "follower") {
+    delete next.archetype;
+    delete next.leaderId;
+  }
+  next.leader = true;
+  for (const p of followers) if (p !== next) p.leaderId = next.id;
+}
+
+// Unit vector a disruptor drags in-target pucks along when it is in the target itself: out the nearest way
+function outOfTarget(zones, p) {
+  const a = zones.targetArea;
+  if (!a) return { x: -1, y: 0 };
+  const dx = p.x - (a.x0 + a.x1) / 2;
+  const dy = p.y - (a.y0 + a.y1) / 2;
+  const m = Math.hypot(dx, dy) || 1;
+  return { x: dx / m, y: dy / m };
+}
+
+// Accelerations for this step: Map(puckId -> { ax, ay }), or null when nobody on the board has an archetype.
+// inTarget is isInTarget bound to the state (passed in so this module doesn't import the simulation)
+export function socialForces(state, inTarget) {
+  const { cfg, pucks, zones } = state;
+  if (!pucks.some((p) => p.archetype)) return null;
+
+  const R = cfg.socialRadius;
+  const acc = new Map();
+  const add = (p, ax, ay) => {
+    const f = acc.get(p.id);
+    if (f) {
+      f.ax += ax;
+      f.ay += ay;
+    } else {
+      acc.set(p.id, { ax, ay });
+    }
+  };
+
+  // Followers: toward the leader, easing off inside a couple of puck widths
+  const byId = new Map(pucks.map((p) => [p.id, p]));
+  for (const p of pucks) {
+    if (p.archetype !== "follower") continue;
+    const leader = byId.get(p.leaderId);
+    if (!leader) continue;
+    const dx = leader.x - p.x;
+    const dy = leader.y - p.y;
+    const d = Math.hypot(dx, dy);
+    const slack = (p.radius + leader.radius) * 1.5;
+    if (d <= slack) continue;
+    const k = (cfg.followStrength * Math.min(1, (d - slack) / R)) / d;
+    add(p, dx * k, dy * k);
+  }
+
+  // Flockers, loners and disruptors need their neighbours
+  if (!pucks.some((p) => p.archetype && p.archetype !== "follower")) return acc;
+  const near = new Map(); // id -> { n, vx, vy, x, y }
+  const tally = (p, q) => {
+    const t = near.get(p.id) ?? { n: 0, vx: 0, vy: 0, x: 0, y: 0 };
+    t.n += 1;
+    t.vx += q.vx;
+    t.vy += q.vy;
+    t.x += q.x;
+    t.y += q.y;
+    near.set(p.id, t);
+  };
+  const disrupt = (d, q, dist) => {
+    if (!inTarget(q)) return;
+    const dir = inTarget(d) ? outOfTarget(zones, q) : { x: (d.x - q.x) / (dist || 1), y: (d.y - q.y) / (dist || 1) };
+    const k = cfg.disruptStrength * (1 - dist / R);
+    add(q, dir.x * k, dir.y * k);
+  };
+  forEachNearbyPair(pucks, R, cfg.boardW, cfg.boardH, (a, b) => {
+    const dist = Math.hypot(b.x - a.x, b.y - a.y);
+    if (dist >= R) return;
+    if (a.archetype === "flocker" || a.archetype === "loner") tally(a, b);
+    if (b.archetype === "flocker" || b.archetype === "loner") tally(b, a);
+    if (a.archetype === "disruptor" && b.archetype !== "disruptor") disrupt(a, b, dist);
+    if (b.archetype === "disruptor" && a.archetype !== "disruptor") disrupt(b, a, dist);
+  });
+
+  for (const p of pucks) {
+    const t = near.get(p.id);
+    if (!t) continue;
+    if (p.archetype === "flocker") {
+      add(p, (t.vx / t.n - p.vx) * cfg.flockStrength, (t.vy / t.n - p.vy) * cfg.flockStrength);
+    } else if (p.archetype === "loner") {
+      const dx = p.x - t.x / t.n;
+      const dy = p.y - t.y / t.n;
+      const m = Math.hypot(dx, dy) || 1;
+      const k = (cfg.lonerStrength * Math.min(1, t.n / 3)) / m;
+      add(p, dx * k, dy * k);
+    }
+  }
+  return acc;
+}
@@ -0,0 +1,118 @@
+// Session analytics, tallied inside step() so live rounds, replays and headless runs all agree
+// - Per puck: seconds in each negative zone, the improvement band, between bands and the target,
+//   entries into each negative zone and stick touches
+// - Per stick (player): touches started and puck-seconds of contact
+// - Per tool (see tools.js): uses, seconds held, pucks lassoed and presses blocked by a cooldown
+// - Every disruption that hit (see disruptions.js): when, what and for how long
+// - Lifecycle counts (see lifecycle.js), and per puck how long it took to complete
+// - Puck-seconds per board cell for the heatmap (see heatmap.js)
+// - summarizeStats turns the raw tallies into per-puck rows and zone totals
+
+import { TOOLS, TOOL_IDS, createToolStats } from "./tools.js";
+import { createLifecycleStats } from "./lifecycle.js";
+
+export function createStats(pucks) {
+  const stats = { duration: 0, pucks: {}, sticks: [], tools: createToolStats(), disruptions: [] };
+  for (const p of pucks) addPuckStats(stats, p.id);
+  return stats;
+}
+
+export function addPuckStats(stats, puckId) {
+  if (!stats.pucks[puckId]) {
+    stats.pucks[puckId] = {
+      negTime: {}, // { [zoneId]: seconds }
+      negEntries: {}, // { [zoneId]: count }
+      improveTime: 0,
+      betweenTime: 0,
+      targetTime: 0,
+      touches: 0,
+      touching: false,
+    };
+  }
+  return stats.pucks[puckId];
+}
+
+// kind: "target" | "negative" | "improve" | "between"
+export function tallyPuck(stats, puckId, kind, zoneId, dt) {
+  const s = addPuckStats(stats, puckId);
+  if (kind === "negative") s.negTime[zoneId] = (s.negTime[zoneId] ?? 0) + dt;
+  else if (kind === "improve") s.improveTime += dt;
+  else if (kind === "target") s.targetTime += dt;
+  else s.betweenTime += dt;
+}
+
+export function tallyEntry(stats, puckId, zoneId) {
+  const s = addPuckStats(stats, puckId);
+  s.negEntries[zoneId] = (s.negEntries[zoneId] ?? 0) + 1;
+}
+
+// Counts a touch when contact starts, not for every step it lasts; returns true on a new touch
+export function tallyContact(stats, puckId, touching) {
+  const s = addPuckStats(stats, puckId);
+  const started = touching && !s.touching;
+  if (started) s.touches += 1;
+  s.touching = touching;
+  return started;
+}
+
+// Same idea per stick: a touch is counted when this stick starts touching this puck
+export function tallyStickContact(stats, slot, puckId, touching, dt) {
+  const s = (stats.sticks[slot] ??= { touches: 0, pushSeconds: 0, touching: {} });
+  if (touching) {
+    s.pushSeconds += dt;
+    if (!s.touching[puckId]) s.touches += 1;
+  }
+  s.touching[puckId] = touching;
+}
+
+// { duration, pucks: [row], zones: [row], bands: { improve, between, target }, sticks: [row], tools: [row],
+//   disruptions: [row], lifecycle: { arrived, completed, escalated, latencySum, latencyMax, backlog }, touches }
+export function summarizeStats(state, names = (p) => p.id) {
+  const { stats, zones } = state;
+  const negZones = zones.negZones;
+  const byId = Object.fromEntries([...(state.lifecycle?.done ?? []), ...state.pucks].map((p) => [p.id, p]));
+
+  const pucks = Object.entries(stats.pucks).map(([id, s]) => {
+    const p = byId[id];
+    return {
+      id,
+      name: p ? names(p) : id,
+      category: p?.category ?? "",
+      role: p?.leader ? "leader" : (p?.archetype ?? ""), // crew archetype (see social.js)
+      targetTime: s.targetTime,
+      improveTime: s.improveTime,
+      betweenTime: s.betweenTime,
+      negTime: Object.fromEntries(negZones.map((z) => [z.id, s.negTime[z.id] ?? 0])),
+      negEntries: Object.fromEntries(negZones.map((z) => [z.id, s.negEntries[z.id] ?? 0])),
+      touches: s.touches,
+      completedAfter: s.completedAfter ?? null, // seconds from arrival to completion (see lifecycle.js)
+    };
+  });
+
+  const sum = (f) => pucks.reduce((acc, r) => acc + f(r), 0);
+  const zoneRows = negZones.map((z) => ({
+    id: z.id,
+    text: z.text,
+    time: sum((r) => r.negTime[z.id]),
+    entries: sum((r) => r.negEntries[z.id]),
+  }));
+
+  return {
+    duration: stats.duration,
+    pucks,
+    zones: zoneRows,
+    bands: {
+      improve: sum((r) => r.improveTime),
+      between: sum((r) => r.betweenTime),
+      target: sum((r) => r.targetTime),
+    },
+    sticks: stats.sticks.map((s, slot) => ({ slot, touches: s?.touches ?? 0, pushSeconds: s?.pushSeconds ?? 0 })),
+    tools: TOOL_IDS.map((id) => ({ id, label: TOOLS[id].label, ...createToolStats()[id], ...stats.tools?.[id] })),
+    disruptions: (stats.disruptions ?? []).map((d) => ({
+      ...d,
+      zone: d.zoneId ? (negZones.find((z) => z.id === d.zoneId)?.text ?? d.zoneId) : "",
+    })),
+    lifecycle: { ...createLifecycleStats(), ...stats.lifecycle, backlog: state.pucks.length },
+    touches: sum((r) => r.touches),
+  };
+}
@@ -0,0 +1,39 @@
+// Sticks and players
+// - state.sticks is one slot per player; slot 0 is the mouse / keyboard / bot stick
+// - An input is either one { x, y, down, tool? } (slot 0) or an array of them, one per slot (tools: see tools.js)
+// - In a versus round every puck belongs to a player (puck.owner = slot) and only counts as in target inside
+//   that player's lane: the target's bounding box split into equal horizontal strips
+
+export const MAX_STICKS = 4;
+export const STICK_COLORS = ["#ffffff", "#38bdf8", "#f472b6", "#facc15"];
+
+export function createStick(cfg, y = cfg.boardH * 0.5) {
+  return {
+    x: cfg.boardW * 0.15,
+    y,
+    vx: 0,
+    vy: 0,
+    down: false,
+    // Tool state (see tools.js)
+    tool: "push",
+    active: false, // the current press is doing something (not blocked by a cooldown)
+    pressBlocked: false,
+    cooldowns: {}, // { [tool]: time it can be used again }
+    magnetUsed: 0, // seconds of pull this press
+    draft: null, // fence start { x0, y0 } or lasso { path: [x, y, ...], length } while held
+  };
+}
+
+export const stickInputs = (input) => (Array.isArray(input) ? input : [input]).slice(0, MAX_STICKS);
+
+export function targetLanes(box, players) {
+  const h = (box.y1 - box.y0) / players;
+  return Array.from({ length: players }, (_, i) => ({
+    owner: i,
+    x0: box.x0,
+    x1: box.x1,
+    y0: box.y0 + i * h,
+    y1: box.y0 + (i + 1) * h,
+    color: STICK_COLORS[i],
+  }));
+}
@@ -0,0 +1,170 @@
+// Stick tools
+// - Every stick holds one tool, picked by its input ({ x, y, down, tool }); recordings pack the tool into the down
+//   flag (packButton / unpackButton), so replays use the same tools at the same moments
+// - push: the classic shove, handled in step()
+// - magnet: pulls pucks within cfg.magnetRange toward the stick while held, for at most cfg.magnetMaxSec per press;
+//   then it recharges for up to cfg.magnetCooldownSec (less after a shorter pull)
+// - fence: press to set one end, release to drop a wall (at most cfg.fenceMaxLen long) that pucks bounce off like
+//   an obstacle; it stands for cfg.fenceLifetimeSec, and the next one can go down cfg.fenceCooldownSec later
+// - lasso: hold and draw a loop (at most cfg.lassoMaxLen of path); letting go near where it started shoves every
+//   puck inside toward the target by cfg.lassoImpulse; cfg.lassoCooldownSec until the next loop
+// - A press while the tool is still cooling down does nothing and is counted as blocked in the stats
+
+export const TOOLS = {
+  push: { label: "Push", glyph: "" },
+  magnet: { label: "Magnet", glyph: "M", cooldown: "magnetCooldownSec" },
+  fence: { label: "Fence", glyph: "|", cooldown: "fenceCooldownSec" },
+  lasso: { label: "Lasso", glyph: "○", cooldown: "lassoCooldownSec" },
+};
+export const TOOL_IDS = Object.keys(TOOLS);
+export const FENCE_WIDTH = 8; // px
+
+const LASSO_STEP = 8; // px between recorded lasso points
+const LASSO_CLOSE = 60; // px: how near the start a loop has to end
+
+export const toolOf = (input) => (input?.tool in TOOLS ? input.tool : "push");
+
+// Recorded frames store down and the tool as one number: down (0/1) + 2 × tool index
+export const packButton = (input) => (input.down ? 1 : 0) + 2 * TOOL_IDS.indexOf(toolOf(input));
+export const unpackButton = (v) => ({ down: (v & 1) === 1, tool: TOOL_IDS[v >> 1] ?? "push" });
+
+export function createToolStats() {
+  return Object.fromEntries(TOOL_IDS.map((id) => [id, { uses: 0, seconds: 0, pucks: 0, blocked: 0 }]));
+}
+
+// Seconds until the stick's tool can be used again (0 when ready)
+export const toolCooldown = (state, s, tool) => Math.max(0, (s.cooldowns?.[tool] ?? 0) - state.time);
+
+// Where a lasso shoves a puck: the middle of the target area, or straight across into the strip
+function targetPoint(zones, p) {
+  if (zones.targetArea) {
+    const a = zones.targetArea;
+    return { x: (a.x0 + a.x1) / 2, y: (a.y0 + a.y1) / 2 };
+  }
+  const b = zones.targetBox;
+  return { x: (b.x0 + b.x1) / 2, y: Math.max(b.y0, Math.min(b.y1, p.y)) };
+}
+
+function insidePolygon(path, x, y) {
+  let inside = false;
+  for (let i = 0, j = path.length - 2; i < path.length; j = i, i += 2) {
+    const [xi, yi, xj, yj] = [path[i], path[i + 1], path[j], path[j + 1]];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function stats(state) {
+  return (state.stats.tools ??= createToolStats());
+}
+
+function press(state, s, tool, input) {
+  if (tool !== "push" && state.time < (s.cooldowns[tool] ?? 0)) {
+    stats(state)[tool].blocked += 1;
+    return;
+  }
+  s.active = true;
+  if (tool === "push" || tool === "magnet") stats(state)[tool].uses += 1;
+  if (tool === "magnet") s.magnetUsed = 0;
+  if (tool === "fence") s.draft = { x0: input.x, y0: input.y };
+  if (tool === "lasso") s.draft = { path: [input.x, input.y], length: 0 };
+}
+
+// Letting go: the magnet starts recharging, a fence goes down, a closed lasso fires
+function release(state, s, x, y) {
+  const { cfg, time: t } = state;
+  const tool = s.tool;
+  if (tool === "magnet") {
+    s.cooldowns.magnet = t + cfg.magnetCooldownSec * Math.min(1, s.magnetUsed / cfg.magnetMaxSec);
+  } else if (tool === "fence" && s.draft) {
+    const { x0, y0 } = s.draft;
+    const len = Math.hypot(x - x0, y - y0);
+    if (len >= cfg.puckRadius * 2) {
+      const k = Math.min(1, cfg.fenceMaxLen / len);
+      const fence = { kind: "segment", x0, y0, x1: x0 + (x - x0) * k, y1: y0 + (y - y0) * k, r: FENCE_WIDTH / 2 };
+      state.fences.push({ ...fence, until: t + cfg.fenceLifetimeSec });
+      s.cooldowns.fence = t + cfg.fenceCooldownSec;
+      stats(state).fence.uses += 1;
+    }
+  } else if (tool === "lasso" && s.draft) {
+    const { path } = s.draft;
+    const n = path.length;
+    if (n >= 8 && Math.hypot(path[n - 2] - path[0], path[n - 1] - path[1]) <= LASSO_CLOSE) {
+      let caught = 0;
+      for (const p of state.pucks) {
+        if (!insidePolygon(path, p.x, p.y)) continue;
+        const aim = targetPoint(state.zones, p);
+        const dx = aim.x - p.x;
+        const dy = aim.y - p.y;
+        const m = Math.hypot(dx, dy) || 1;
+        p.vx += (dx / m) * (cfg.lassoImpulse / p.stubbornness / p.mass);
+        p.vy += (dy / m) * (cfg.lassoImpulse / p.stubbornness / p.mass);
+        caught += 1;
+      }
+      s.cooldowns.lasso = t + cfg.lassoCooldownSec;
+      stats(state).lasso.uses += 1;
+      stats(state).lasso.pucks += caught;
+    }
+  }
+  s.active = false;
+  s.draft = null;
+}
+
+// Once per frame, before the stick moves to the new input (see applyStickInput in simulation.js)
+export function applyToolInput(state, s, input) {
+  const tool = toolOf(input);
+  s.cooldowns ??= {};
+  if (s.down && s.active && tool !== s.tool) release(state, s, s.x, s.y); // switching tools lets go of the old one
+  if (tool !== s.tool) s.active = false;
+  s.tool = tool;
+
+  if (input.down && (!s.down || !s.active) && !s.pressBlocked) {
+    press(state, s, tool, input);
+    s.pressBlocked = !s.active; // one blocked press per press, not one per frame
+  } else if (!input.down && s.down) {
+    if (s.active) release(state, s, input.x, input.y);
+  }
+  if (!input.down) s.pressBlocked = false;
+
+  // The lasso path follows the stick
+  if (input.down && s.active && tool === "lasso") {
+    const { path } = s.draft;
+    const d = Math.hypot(input.x - path[path.length - 2], input.y - path[path.length - 1]);
+    if (d >= LASSO_STEP && s.draft.length + d <= state.cfg.lassoMaxLen) {
+      path.push(input.x, input.y);
+      s.draft.length += d;
+    }
+  }
+}
+
+// Every fixed step, before the pucks move: magnet pulls, time tallies and expired fences
+export function stepTools(state, dt) {
+  const { cfg, pucks } = state;
+  const t = state.time;
+  for (const s of state.sticks) {
+    if (!s.down || !s.active) continue;
+    stats(state)[s.tool].seconds += dt;
+    if (s.tool !== "magnet") continue;
+
+    s.magnetUsed += dt;
+    if (s.magnetUsed >= cfg.magnetMaxSec) {
+      s.active = false;
+      s.pressBlocked = true;
+      s.cooldowns.magnet = t + cfg.magnetCooldownSec;
+      continue;
+    }
+    const reach = cfg.magnetRange;
+    for (const p of pucks) {
+      const dx = s.x - p.x;
+      const dy = s.y - p.y;
+      const d = Math.hypot(dx, dy);
+      if (d >= reach || d <= p.radius + cfg.stickRadius) continue;
+      const k = (cfg.magnetStrength * (1 - d / reach)) / p.stubbornness / p.mass / d;
+      p.vx += dx * k * dt;
+      p.vy += dy * k * dt;
+    }
+  }
+  if (state.fences.length && state.fences.some((f) => f.until <= t)) {
+    state.fences = state.fences.filter((f) => f.until > t);
+  }
+}
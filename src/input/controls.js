@@ -0,0 +1,182 @@
+// Keyboard and gamepad control of the stick
+// - Both sources write into the same { x, y, down } stick input the pointer handlers use, so the engine,
+//   recorder and replays don't know or care where the input came from
+// - Keys accelerate the stick up to KEY_SPEED and it coasts to a stop when released; the engage key holds it down
+// - The gamepad's analog stick sets the velocity directly; its trigger pushes
+// - The tool key / button switches to the next stick tool (see engine/tools.js); the app keeps the selection
+// - Bindings are { keys: { [action]: [KeyboardEvent.code] }, pad: { axisX, axisY, engage, pause, tool } }
+
+const KEY_SPEED = 420; // px/sec
+const KEY_ACCEL = 1600; // px/sec^2
+const KEY_BRAKE = 0.0005; // share of speed kept after one second without a direction key
+const PAD_SPEED = 480; // px/sec at full tilt
+const PAD_DEADZONE = 0.18;
+const TRIGGER_THRESHOLD = 0.3;
+
+export const KEY_ACTIONS = [
+  { id: "up", label: "Move up" },
+  { id: "down", label: "Move down" },
+  { id: "left", label: "Move left" },
+  { id: "right", label: "Move right" },
+  { id: "engage", label: "Hold to push / use tool" },
+  { id: "tool", label: "Next tool" },
+  { id: "pause", label: "Pause / resume" },
+  { id: "reset", label: "Reset (asks first)" },
+];
+
+export const PAD_ACTIONS = [
+  { id: "axisX", label: "Move left/right (axis)", kind: "axis" },
+  { id: "axisY", label: "Move up/down (axis)", kind: "axis" },
+  { id: "engage", label: "Push (button/trigger)", kind: "button" },
+  { id: "pause", label: "Pause / resume (button)", kind: "button" },
+  { id: "tool", label: "Next tool (button)", kind: "button" },
+];
+
+export const DEFAULT_BINDINGS = {
+  keys: {
+    up: ["ArrowUp", "KeyW"],
+    down: ["ArrowDown", "KeyS"],
+    left: ["ArrowLeft", "KeyA"],
+    right: ["ArrowRight", "KeyD"],
+    engage: ["KeyE", "ShiftRight"],
+    tool: ["KeyT"],
+    pause: ["Space"],
+    reset: ["KeyR"],
+  },
+  pad: { axisX: 0, axisY: 1, engage: 7, pause: 9, tool: 3 }, // standard mapping: left stick, right trigger, start, Y
+};
+
+// Fills in anything missing so a partial or outdated saved file still works
+export function normalizeBindings(input) {
+  const keys = {};
+  for (const { id } of KEY_ACTIONS) {
+    const list = input?.keys?.[id];
+    keys[id] = Array.isArray(list) ? list.filter((c) => typeof c === "string").slice(0, 3) : DEFAULT_BINDINGS.keys[id];
+  }
+  const pad = {};
+  for (const { id } of PAD_ACTIONS) {
+    const n = input?.pad?.[id];
+    pad[id] = Number.isInteger(n) && n >= 0 && n < 32 ? n : DEFAULT_BINDINGS.pad[id];
+  }
+  return { keys, pad };
+}
+
+// "KeyW" -> "W", "ArrowUp" -> "↑"
+export function keyLabel(code) {
+  const arrows = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+  if (arrows[code]) return arrows[code];
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  return code;
+}
+
+export function keyAction(bindings, code) {
+  return KEY_ACTIONS.find((a) => bindings.keys[a.id].includes(code))?.id ?? null;
+}
+
+export function createControls(bindings = DEFAULT_BINDINGS) {
+  return {
+    bindings,
+    held: new Set(), // actions whose key is down
+    vx: 0,
+    vy: 0,
+    engaged: false, // true while the keyboard or pad is the one holding the stick down
+    padPause: false, // pause button state last frame (edge detection)
+    padTool: false, // same for the tool button
+  };
+}
+
+export function pressKey(controls, code) {
+  const action = keyAction(controls.bindings, code);
+  if (action) controls.held.add(action);
+  return action;
+}
+
+export function releaseKey(controls, code) {
+  const action = keyAction(controls.bindings, code);
+  if (action) controls.held.delete(action);
+  return action;
+}
+
+// Window lost focus: keyup events won't arrive, so let go of everything
+export function releaseAll(controls) {
+  controls.held.clear();
+}
+
+function readPad(bindings) {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return null;
+  const pad = [...navigator.getGamepads()].find((g) => g && g.connected);
+  if (!pad) return null;
+  const axis = (i) => {
+    const v = pad.axes[i] ?? 0;
+    return Math.abs(v) < PAD_DEADZONE ? 0 : v;
+  };
+  const button = (i) => pad.buttons[i]?.value > TRIGGER_THRESHOLD || pad.buttons[i]?.pressed;
+  return {
+    x: axis(bindings.pad.axisX),
+    y: axis(bindings.pad.axisY),
+    engage: !!button(bindings.pad.engage),
+    pause: !!button(bindings.pad.pause),
+    tool: !!button(bindings.pad.tool),
+  };
+}
+
+// Currently pressed gamepad button / deflected axis, for the remapping screen
+export function padSnapshot() {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return null;
+  const pad = [...navigator.getGamepads()].find((g) => g && g.connected);
+  if (!pad) return null;
+  return {
+    id: pad.id,
+    button: pad.buttons.findIndex((b) => b.pressed || b.value > TRIGGER_THRESHOLD),
+    axis: pad.axes.findIndex((v) => Math.abs(v) > 0.6),
+  };
+}
+
+// Once per frame. Moves the stick when `move` is true (live and not on autopilot).
+// Returns { pause, tool }, each true when the pad's button for it was just pressed.
+export function updateControls(controls, stick, dt, board, move = true) {
+  const pad = readPad(controls.bindings);
+  const pause = !!pad?.pause && !controls.padPause;
+  const tool = !!pad?.tool && !controls.padTool;
+  controls.padPause = !!pad?.pause;
+  controls.padTool = !!pad?.tool;
+  if (!move) {
+    controls.vx = 0;
+    controls.vy = 0;
+    return { pause, tool: false };
+  }
+
+  const h = controls.held;
+  const kx = (h.has("right") ? 1 : 0) - (h.has("left") ? 1 : 0);
+  const ky = (h.has("down") ? 1 : 0) - (h.has("up") ? 1 : 0);
+  if (pad && (pad.x || pad.y)) {
+    controls.vx = pad.x * PAD_SPEED;
+    controls.vy = pad.y * PAD_SPEED;
+  } else if (kx || ky) {
+    const m = Math.hypot(kx, ky);
+    controls.vx += (kx / m) * KEY_ACCEL * dt;
+    controls.vy += (ky / m) * KEY_ACCEL * dt;
+    const sp = Math.hypot(controls.vx, controls.vy);
+    if (sp > KEY_SPEED) {
+      controls.vx = (controls.vx / sp) * KEY_SPEED;
+      controls.vy = (controls.vy / sp) * KEY_SPEED;
+    }
+  } else {
+    const brake = Math.pow(KEY_BRAKE, dt);
+    controls.vx = Math.abs(controls.vx) < 1 ? 0 : controls.vx * brake;
+    controls.vy = Math.abs(controls.vy) < 1 ? 0 : controls.vy * brake;
+  }
+
+  if (controls.vx || controls.vy) {
+    stick.x = Math.max(0, Math.min(board.boardW, stick.x + controls.vx * dt));
+    stick.y = Math.max(0, Math.min(board.boardH, stick.y + controls.vy * dt));
+  }
+
+  // Only release what we pressed, so a held mouse button isn't cancelled by an idle keyboard
+  const engage = h.has("engage") || !!pad?.engage;
+  if (engage) stick.down = true;
+  else if (controls.engaged) stick.down = false;
+  controls.engaged = engage;
+  return { pause, tool };
+}
@@ -0,0 +1,190 @@
+// Canvas renderer: one 2D canvas for the whole moving layer (hundreds of pucks at 60fps)
+
+import { isInTarget, renderPucks } from "../engine/simulation";
+import { STICK_COLORS } from "../engine/sticks";
+import { hexToRgba } from "../engine/layout";
+import { puckGlyph } from "../engine/social";
+import { TOOLS, toolCooldown } from "../engine/tools";
+import { leavingPucks } from "../engine/lifecycle";
+
+export function createCanvasRenderer(host) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext && canvas.getContext("2d");
+  if (!ctx) return null;
+
+  Object.assign(canvas.style, {
+    position: "absolute",
+    inset: "0",
+    width: "100%",
+    height: "100%",
+    pointerEvents: "none",
+  });
+  host.appendChild(canvas);
+
+  // Match the backing store to the on-screen size so circles stay crisp on HiDPI screens
+  function fit(cfg) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.max(1, Math.round(host.clientWidth * dpr));
+    const h = Math.max(1, Math.round(host.clientHeight * dpr));
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    ctx.setTransform(w / cfg.boardW, 0, 0, h / cfg.boardH, 0, 0);
+  }
+
+  function disc(x, y, r) {
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+  }
+
+  function draw({ state, sticks, ghost, highlightId, colors }) {
+    const { cfg } = state;
+    fit(cfg);
+    ctx.clearRect(0, 0, cfg.boardW, cfg.boardH);
+
+    const pucks = renderPucks(state);
+
+    // Fences, fading out over their last second
+    ctx.lineCap = "round";
+    for (const f of state.fences ?? []) {
+      ctx.lineWidth = f.r * 2;
+      ctx.strokeStyle = `rgba(226,232,240,${0.85 * Math.min(1, f.until - state.time)})`;
+      ctx.beginPath();
+      ctx.moveTo(f.x0, f.y0);
+      ctx.lineTo(f.x1, f.y1);
+      ctx.stroke();
+    }
+    ctx.lineCap = "butt";
+
+    // Followers: a faint line to their leader
+    const byId = new Map(pucks.map((p) => [p.id, p]));
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(255,255,255,0.12)";
+    ctx.beginPath();
+    for (const p of pucks) {
+      const leader = p.leaderId && byId.get(p.leaderId);
+      if (!leader) continue;
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(leader.x, leader.y);
+    }
+    ctx.stroke();
+
+    const font = (r) => `bold ${Math.round(r * 0.95)}px Arial, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const p of pucks) {
+      const r = p.radius;
+      const inZone = isInTarget(state, p);
+      disc(p.x, p.y, r);
+      ctx.fillStyle = `hsl(${p.hue} 85% 55% / ${inZone ? 0.95 : 0.9})`;
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = inZone ? "rgba(255,255,255,0.18)" : "rgba(255,255,255,0.16)";
+      disc(p.x, p.y, r - 1);
+      ctx.stroke();
+      if (inZone) {
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = hexToRgba(colors.inTarget, colors.high ? 0.9 : 0.25);
+        disc(p.x, p.y, r + 1.5);
+        ctx.stroke();
+      }
+      if (p.escalation) {
+        // Escalated: a red ring, thicker for every level
+        ctx.lineWidth = 1 + p.escalation;
+        ctx.strokeStyle = hexToRgba(colors.negative, 0.9);
+        disc(p.x, p.y, r + 1 + p.escalation / 2);
+        ctx.stroke();
+      }
+      if (p.owner != null && state.versus) {
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = hexToRgba(STICK_COLORS[p.owner], 0.85);
+        disc(p.x, p.y, r + 3);
+        ctx.stroke();
+      }
+      if (p.id === highlightId) {
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = "rgba(255,255,255,0.9)";
+        disc(p.x, p.y, r + 5);
+        ctx.stroke();
+      }
+      const glyph = puckGlyph(p);
+      if (glyph) {
+        ctx.font = font(r);
+        ctx.fillStyle = "rgba(15,23,42,0.85)";
+        ctx.fillText(glyph, p.x, p.y + 1);
+      }
+    }
+
+    // Completed pucks shrink away inside a widening ring
+    for (const p of leavingPucks(state)) {
+      disc(p.x, p.y, p.radius * p.left);
+      ctx.fillStyle = `hsl(${p.hue} 85% 55% / ${0.9 * p.left})`;
+      ctx.fill();
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = hexToRgba(colors.held, p.left);
+      disc(p.x, p.y, p.radius * (2.5 - 1.5 * p.left));
+      ctx.stroke();
+    }
+
+    if (ghost) {
+      disc(ghost.x, ghost.y, cfg.stickRadius);
+      ctx.fillStyle = ghost.down ? "rgba(167,139,250,0.16)" : "rgba(167,139,250,0.06)";
+      ctx.fill();
+      ctx.setLineDash([4, 4]);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "rgba(196,181,253,0.55)";
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    sticks.forEach((stick, slot) => {
+      const color = STICK_COLORS[slot] ?? STICK_COLORS[0];
+      const tool = state.sticks[slot];
+      drawTool(state, tool, stick, color);
+      disc(stick.x, stick.y, cfg.stickRadius);
+      ctx.fillStyle = hexToRgba(color, stick.down ? 0.16 : 0.08);
+      ctx.fill();
+      ctx.lineWidth = stick.down ? 2 : 1;
+      ctx.strokeStyle = hexToRgba(color, stick.down ? 0.38 : 0.22);
+      ctx.stroke();
+      const glyph = TOOLS[tool?.tool]?.glyph;
+      if (glyph) {
+        ctx.font = font(cfg.puckRadius);
+        ctx.fillStyle = hexToRgba(color, toolCooldown(state, tool, tool.tool) > 0 ? 0.3 : 0.8);
+        ctx.fillText(glyph, stick.x, stick.y + 1);
+      }
+    });
+  }
+
+  // What a held tool is doing: the magnet's reach, the fence being laid, the lasso loop so far
+  function drawTool(state, s, stick, color) {
+    if (!s?.active || !stick.down) return;
+    ctx.setLineDash([6, 6]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = hexToRgba(color, 0.5);
+    if (s.tool === "magnet") {
+      disc(stick.x, stick.y, state.cfg.magnetRange);
+      ctx.stroke();
+    } else if (s.tool === "fence" && s.draft) {
+      ctx.beginPath();
+      ctx.moveTo(s.draft.x0, s.draft.y0);
+      ctx.lineTo(stick.x, stick.y);
+      ctx.stroke();
+    } else if (s.tool === "lasso" && s.draft) {
+      const { path } = s.draft;
+      ctx.beginPath();
+      ctx.moveTo(path[0], path[1]);
+      for (let i = 2; i < path.length; i += 2) ctx.lineTo(path[i], path[i + 1]);
+      ctx.lineTo(stick.x, stick.y);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  function destroy() {
+    canvas.remove();
+  }
+
+  return { kind: "canvas", draw, destroy };
+}
@@ -0,0 +1,168 @@
+// DOM renderer: one absolutely positioned div per puck (fallback, fine for a few dozen pucks)
+
+import { isInTarget, renderPucks } from "../engine/simulation";
+import { STICK_COLORS } from "../engine/sticks";
+import { hexToRgba } from "../engine/layout";
+import { puckGlyph } from "../engine/social";
+import { TOOLS, toolCooldown } from "../engine/tools";
+import { leavingPucks } from "../engine/lifecycle";
+
+const pct = (v, total) => `${(v / total) * 100}%`;
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function circle(host) {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "absolute",
+    transform: "translate(-50%, -50%)",
+    borderRadius: "999px",
+    pointerEvents: "none",
+  });
+  host.appendChild(el);
+  return el;
+}
+
+export function createDomRenderer(host) {
+  const layer = document.createElement("div");
+  Object.assign(layer.style, { position: "absolute", inset: "0", pointerEvents: "none" });
+  host.appendChild(layer);
+
+  // Fences and held tools are lines, so they go in one SVG under the pucks
+  const toolSvg = document.createElementNS(SVG_NS, "svg");
+  toolSvg.setAttribute("preserveAspectRatio", "none");
+  Object.assign(toolSvg.style, { position: "absolute", inset: "0", width: "100%", height: "100%" });
+  layer.appendChild(toolSvg);
+
+  const puckEls = new Map(); // puckId -> div
+  const ghostEl = circle(layer);
+  const stickEls = []; // one per player slot, created on first use
+  Object.assign(ghostEl.style, { border: "1px dashed rgba(196,181,253,0.55)" });
+
+  function placeCircle(el, cfg, x, y, r) {
+    el.style.left = pct(x, cfg.boardW);
+    el.style.top = pct(y, cfg.boardH);
+    el.style.width = pct(r * 2, cfg.boardW);
+    el.style.height = pct(r * 2, cfg.boardH);
+  }
+
+  // SVG markup for the fences and whatever the held tools are doing
+  function toolMarkup(state, sticks) {
+    const parts = (state.fences ?? []).map(
+      (f) =>
+        `<line x1="${f.x0}" y1="${f.y0}" x2="${f.x1}" y2="${f.y1}" stroke-width="${f.r * 2}" stroke-linecap="round" ` +
+        `stroke="rgba(226,232,240,${0.85 * Math.min(1, f.until - state.time)})"/>`,
+    );
+    sticks.forEach((stick, slot) => {
+      const s = state.sticks[slot];
+      if (!s?.active || !stick.down) return;
+      const line = `fill="none" stroke="${hexToRgba(STICK_COLORS[slot] ?? STICK_COLORS[0], 0.5)}" stroke-width="2" stroke-dasharray="6 6"`;
+      if (s.tool === "magnet")
+        parts.push(`<circle cx="${stick.x}" cy="${stick.y}" r="${state.cfg.magnetRange}" ${line}/>`);
+      if (s.tool === "fence" && s.draft) {
+        parts.push(`<line x1="${s.draft.x0}" y1="${s.draft.y0}" x2="${stick.x}" y2="${stick.y}" ${line}/>`);
+      }
+      if (s.tool === "lasso" && s.draft) {
+        parts.push(`<polyline points="${s.draft.path.join(" ")} ${stick.x} ${stick.y}" ${line}/>`);
+      }
+    });
+    return parts.join("");
+  }
+
+  function draw({ state, sticks, ghost, highlightId, colors }) {
+    const { cfg } = state;
+    const seen = new Set();
+
+    toolSvg.setAttribute("viewBox", `0 0 ${cfg.boardW} ${cfg.boardH}`);
+    // Completed pucks shrink away inside a widening ring (under the live pucks, like the fences)
+    const leaving = leavingPucks(state).map((p) => {
+      const fill = `fill="hsl(${p.hue} 85% 55%)" fill-opacity="${0.9 * p.left}"`;
+      const ring = `fill="none" stroke="${colors.held}" stroke-opacity="${p.left}" stroke-width="3"`;
+      return (
+        `<circle cx="${p.x}" cy="${p.y}" r="${p.radius * p.left}" ${fill}/>` +
+        `<circle cx="${p.x}" cy="${p.y}" r="${p.radius * (2.5 - 1.5 * p.left)}" ${ring}/>`
+      );
+    });
+    const markup = toolMarkup(state, sticks) + leaving.join("");
+    if (toolSvg.innerHTML !== markup) toolSvg.innerHTML = markup;
+
+    for (const p of renderPucks(state)) {
+      seen.add(p.id);
+      let el = puckEls.get(p.id);
+      if (!el) {
+        el = circle(layer);
+        Object.assign(el.style, {
+          border: "1px solid rgba(255,255,255,0.14)",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          color: "rgba(15,23,42,0.85)",
+          fontWeight: "700",
+          fontFamily: "Arial, sans-serif",
+        });
+        layer.insertBefore(el, ghostEl);
+        puckEls.set(p.id, el);
+      }
+      const inZone = isInTarget(state, p);
+      placeCircle(el, cfg, p.x, p.y, p.radius);
+      const glyph = puckGlyph(p);
+      if (el.textContent !== glyph) el.textContent = glyph;
+      if (glyph) el.style.fontSize = `${(p.radius / cfg.boardW) * layer.clientWidth * 0.95}px`;
+      el.style.background = `hsl(${p.hue} 85% 55% / ${inZone ? 0.95 : 0.9})`;
+      el.style.boxShadow =
+        (p.id === highlightId ? "0 0 0 4px rgba(255,255,255,0.9), " : "") +
+        (p.escalation ? `0 0 0 ${1 + p.escalation}px ${hexToRgba(colors.negative, 0.9)}, ` : "") +
+        (p.owner != null && state.versus ? `0 0 0 3px ${hexToRgba(STICK_COLORS[p.owner], 0.85)}, ` : "") +
+        (inZone && colors.high ? `0 0 0 3px ${colors.inTarget}, ` : "") +
+        (inZone
+          ? `0 10px 24px ${hexToRgba(colors.inTarget, 0.18)}, inset 0 0 0 2px rgba(255,255,255,0.18)`
+          : "0 10px 24px rgba(0,0,0,0.35), inset 0 0 0 2px rgba(255,255,255,0.16)");
+    }
+    for (const [id, el] of puckEls) {
+      if (!seen.has(id)) {
+        el.remove();
+        puckEls.delete(id);
+      }
+    }
+
+    ghostEl.style.display = ghost ? "block" : "none";
+    if (ghost) {
+      placeCircle(ghostEl, cfg, ghost.x, ghost.y, cfg.stickRadius);
+      ghostEl.style.background = ghost.down ? "rgba(167,139,250,0.16)" : "rgba(167,139,250,0.06)";
+    }
+
+    sticks.forEach((stick, slot) => {
+      if (!stickEls[slot]) {
+        stickEls[slot] = circle(layer);
+        Object.assign(stickEls[slot].style, {
+          backdropFilter: "blur(6px)",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          fontWeight: "700",
+          fontFamily: "Arial, sans-serif",
+        });
+      }
+      const el = stickEls[slot];
+      const color = STICK_COLORS[slot] ?? STICK_COLORS[0];
+      el.style.display = "flex";
+      placeCircle(el, cfg, stick.x, stick.y, cfg.stickRadius);
+      el.style.background = hexToRgba(color, stick.down ? 0.16 : 0.08);
+      el.style.border = stick.down ? `2px solid ${hexToRgba(color, 0.38)}` : `1px solid ${hexToRgba(color, 0.22)}`;
+      el.style.boxShadow = stick.down ? `0 12px 30px ${hexToRgba(color, 0.1)}` : "none";
+      const tool = state.sticks[slot];
+      const glyph = TOOLS[tool?.tool]?.glyph ?? "";
+      if (el.textContent !== glyph) el.textContent = glyph;
+      if (glyph) {
+        el.style.color = hexToRgba(color, toolCooldown(state, tool, tool.tool) > 0 ? 0.3 : 0.8);
+        el.style.fontSize = `${(cfg.puckRadius / cfg.boardW) * layer.clientWidth * 0.95}px`;
+      }
+    });
+    for (let slot = sticks.length; slot < stickEls.length; slot++) stickEls[slot].style.display = "none";
+  }
+
+  function destroy() {
+    layer.remove();
+  }
+
+  return { kind: "dom", draw, destroy };
+}
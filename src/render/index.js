@@ -0,0 +1,22 @@
+// Board renderers
+// Every renderer draws the moving layer (pucks, stick, ghost) straight from the rAF loop,
+// outside React, and implements the same interface:
+//   draw(frame)  frame = { state, sticks: [{ x, y, down }] (one per player slot), ghost: { x, y, down } | null,
+//                          highlightId: puckId | null, colors: boardColors() from ./palette }
+//                Fences and each stick's tool come from state (state.fences, state.sticks)
+//   destroy()    remove everything it added to the host element
+// The static board (zones, labels) stays in React and only re-renders when alerts change.
+
+import { createCanvasRenderer } from "./canvasRenderer";
+import { createDomRenderer } from "./domRenderer";
+
+export const RENDERERS = ["canvas", "dom"];
+
+// Falls back to the DOM renderer when canvas isn't available
+export function createRenderer(kind, host) {
+  if (kind !== "dom") {
+    const canvas = createCanvasRenderer(host);
+    if (canvas) return canvas;
+  }
+  return createDomRenderer(host);
+}
@@ -0,0 +1,146 @@
+// Analysis overlays under the moving layer: the position heatmap and fading puck trails
+// - One canvas of its own, so it works the same with either renderer
+// - Trails are kept here, not in the engine: every puck's last TRAIL_SEC of sim time, sampled every TRAIL_EVERY.
+//   A new round, replay or seek (a different state, or time running backwards) starts them over
+// - heatmapPng draws the same heatmap onto a board-sized canvas with the zone outlines, for export
+
+import { heatmapMax } from "../engine/heatmap";
+
+const TRAIL_SEC = 4;
+const TRAIL_EVERY = 0.05; // sim seconds between trail points
+
+// 0..1 -> transparent blue through yellow to red
+function heatColor(v) {
+  const hue = 240 - 240 * v;
+  return `hsla(${hue}, 90%, 55%, ${0.15 + 0.6 * v})`;
+}
+
+function drawHeat(ctx, h) {
+  const max = heatmapMax(h);
+  if (!max) return;
+  for (let row = 0; row < h.rows; row++) {
+    for (let col = 0; col < h.cols; col++) {
+      const v = h.seconds[row * h.cols + col];
+      if (v <= 0) continue;
+      ctx.fillStyle = heatColor(Math.sqrt(v / max)); // square root, so the cooler cells still show
+      ctx.fillRect(col * h.cell, row * h.cell, h.cell, h.cell);
+    }
+  }
+}
+
+export function createOverlay(host) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext && canvas.getContext("2d");
+  if (!ctx) return null;
+
+  Object.assign(canvas.style, {
+    position: "absolute",
+    inset: "0",
+    width: "100%",
+    height: "100%",
+    pointerEvents: "none",
+  });
+  host.appendChild(canvas);
+
+  let trails = new Map(); // puckId -> [x, y, t, x, y, t, ...]
+  let trailState = null;
+  let lastSample = -Infinity;
+
+  function sampleTrails(state) {
+    const t = state.time;
+    if (state !== trailState || t < lastSample) {
+      trails = new Map();
+      trailState = state;
+      lastSample = -Infinity;
+    }
+    if (t - lastSample < TRAIL_EVERY) return;
+    lastSample = t;
+    const live = new Set();
+    for (const p of state.pucks) {
+      live.add(p.id);
+      const pts = trails.get(p.id) ?? [];
+      pts.push(p.x, p.y, t);
+      let drop = 0;
+      while (drop < pts.length && t - pts[drop + 2] > TRAIL_SEC) drop += 3;
+      if (drop) pts.splice(0, drop);
+      trails.set(p.id, pts);
+    }
+    for (const id of trails.keys()) if (!live.has(id)) trails.delete(id);
+  }
+
+  function drawTrail(state, p, pts) {
+    ctx.strokeStyle = `hsl(${p.hue} 85% 65%)`;
+    ctx.lineWidth = Math.max(2, p.radius * 0.35);
+    for (let i = 3; i < pts.length; i += 3) {
+      ctx.globalAlpha = 0.6 * Math.max(0, 1 - (state.time - pts[i + 2]) / TRAIL_SEC);
+      ctx.beginPath();
+      ctx.moveTo(pts[i - 3], pts[i - 2]);
+      ctx.lineTo(pts[i], pts[i + 1]);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  // trails: "off" | "all" | "selected" (only highlightId's)
+  function draw({ state, heatmap, trails: mode, highlightId }) {
+    const { cfg } = state;
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.max(1, Math.round(host.clientWidth * dpr));
+    const h = Math.max(1, Math.round(host.clientHeight * dpr));
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    ctx.setTransform(w / cfg.boardW, 0, 0, h / cfg.boardH, 0, 0);
+    ctx.clearRect(0, 0, cfg.boardW, cfg.boardH);
+
+    if (heatmap) drawHeat(ctx, state.stats.heatmap);
+
+    if (mode === "off") {
+      trails = new Map();
+      trailState = null;
+      return;
+    }
+    sampleTrails(state);
+    ctx.lineCap = "round";
+    for (const p of state.pucks) {
+      if (mode === "selected" && p.id !== highlightId) continue;
+      const pts = trails.get(p.id);
+      if (pts && pts.length >= 6) drawTrail(state, p, pts);
+    }
+    ctx.lineCap = "butt";
+  }
+
+  function destroy() {
+    canvas.remove();
+  }
+
+  return { draw, destroy };
+}
+
+// PNG data URL of the round's heatmap at board size, over a dark board with the zone outlines
+export function heatmapPng(state) {
+  const { cfg, zones } = state;
+  const canvas = document.createElement("canvas");
+  canvas.width = cfg.boardW;
+  canvas.height = cfg.boardH;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#0f172a";
+  ctx.fillRect(0, 0, cfg.boardW, cfg.boardH);
+  if (state.stats.heatmap) drawHeat(ctx, state.stats.heatmap);
+
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = "rgba(255,255,255,0.5)";
+  ctx.font = "11px Arial, sans-serif";
+  ctx.fillStyle = "rgba(255,255,255,0.8)";
+  const outline = (box, shape, text) => {
+    ctx.beginPath();
+    if (shape?.kind === "circle") ctx.arc(shape.cx, shape.cy, shape.r, 0, Math.PI * 2);
+    else ctx.rect(box.x0 + 0.5, box.y0 + 0.5, box.x1 - box.x0 - 1, box.y1 - box.y0 - 1);
+    ctx.stroke();
+    ctx.fillText(text, box.x0 + 4, box.y0 + 14);
+  };
+  for (const z of zones.negZones) outline(z, z.shape, z.text);
+  outline(zones.targetBox, zones.targetArea, zones.target.text);
+  return canvas.toDataURL("image/png");
+}
@@ -0,0 +1,41 @@
+// Board colors
+// - standard: the layout's own zone colors and a green target
+// - highContrast: Okabe-Ito colors that stay apart with red/green color blindness. Negative zones are hatched
+//   vermillion (stronger for higher severity), the improvement band yellow, the target blue; in-target pucks get
+//   a white ring and alerts a dashed outline, so nothing is told by hue alone
+
+import { hexToRgba } from "../engine/layout";
+
+export const PALETTES = {
+  standard: { label: "Standard colors" },
+  highContrast: { label: "High contrast (color-blind safe)" },
+};
+
+const HIGH = { negative: "#d55e00", improve: "#f0e442", target: "#0072b2", held: "#56b4e9", inTarget: "#ffffff" };
+
+const hatch = (color, alpha) =>
+  `repeating-linear-gradient(135deg, ${hexToRgba(color, alpha)} 0 6px, ${hexToRgba(color, alpha / 3)} 6px 12px)`;
+
+// { high, negZones (color and bg per zone), negative, improve, target, held, inTarget }, colors as #rrggbb
+export function boardColors(zones, paletteId) {
+  if (paletteId !== "highContrast") {
+    return {
+      high: false,
+      negZones: zones.negZones,
+      negative: "#ef4444",
+      improve: zones.improve.color,
+      target: zones.target.color,
+      held: "#22c55e",
+      inTarget: "#22c55e",
+    };
+  }
+  return {
+    high: true,
+    negZones: zones.negZones.map((z) => ({
+      ...z,
+      color: HIGH.negative,
+      bg: hatch(HIGH.negative, 0.1 + 0.04 * Math.min(5, z.severity)),
+    })),
+    ...HIGH,
+  };
+}
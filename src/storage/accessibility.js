@@ -0,0 +1,39 @@
+// Accessibility preferences in localStorage (palette, motion, screen-reader announcements)
+
+import { PALETTES } from "../render/palette";
+
+const KEY = "puckHerding.accessibility.v1";
+
+export const MOTION_OPTIONS = {
+  system: "Follow system setting",
+  reduce: "Reduce motion",
+  full: "Full motion",
+};
+
+export const DEFAULT_ACCESSIBILITY = { palette: "standard", motion: "system", announce: true };
+
+export function normalizeAccessibility(input) {
+  const d = DEFAULT_ACCESSIBILITY;
+  return {
+    palette: input?.palette in PALETTES ? input.palette : d.palette,
+    motion: input?.motion in MOTION_OPTIONS ? input.motion : d.motion,
+    announce: typeof input?.announce === "boolean" ? input.announce : d.announce,
+  };
+}
+
+export function loadAccessibility() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    return raw ? normalizeAccessibility(JSON.parse(raw)) : DEFAULT_ACCESSIBILITY;
+  } catch {
+    return DEFAULT_ACCESSIBILITY;
+  }
+}
+
+export function saveAccessibility(prefs) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(prefs));
+  } catch {
+    // Storage full or disabled: preferences last until reload
+  }
+}
@@ -0,0 +1,22 @@
+// Keyboard and gamepad bindings in localStorage
+
+import { DEFAULT_BINDINGS, normalizeBindings } from "../input/controls";
+
+const KEY = "puckHerding.bindings.v1";
+
+export function loadBindings() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    return raw ? normalizeBindings(JSON.parse(raw)) : DEFAULT_BINDINGS;
+  } catch {
+    return DEFAULT_BINDINGS;
+  }
+}
+
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(bindings));
+  } catch {
+    // Storage full or disabled: bindings last until reload
+  }
+}
@@ -0,0 +1,10 @@
+// Minimal CSV writer (RFC 4180 quoting)
+
+const cell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
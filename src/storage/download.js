@@ -0,0 +1,26 @@
+// Browser file helpers for exports and imports
+
+// url: a data: URL (e.g. canvas.toDataURL("image/png")) or an object URL
+export function downloadUrl(filename, url) {
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+export function downloadText(filename, text, mime = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  downloadUrl(filename, url);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
@@ -0,0 +1,62 @@
+// Named board layouts in localStorage
+// - "Default" is built in and can't be overwritten
+// - "active" is the layout the next round starts with
+
+import { DEFAULT_LAYOUT, normalizeLayout } from "../engine/layout";
+
+const KEY = "puckHerding.layouts.v1";
+
+function read() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return { saved: data?.saved ?? {}, active: data?.active ?? DEFAULT_LAYOUT.name };
+  } catch {
+    return { saved: {}, active: DEFAULT_LAYOUT.name };
+  }
+}
+
+function write(data) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(data));
+  } catch {
+    // Storage full or disabled: layouts just won't persist
+  }
+}
+
+// { [name]: layout }, Default first
+export function loadLayouts() {
+  const out = { [DEFAULT_LAYOUT.name]: DEFAULT_LAYOUT };
+  for (const [name, layout] of Object.entries(read().saved)) {
+    if (name !== DEFAULT_LAYOUT.name) out[name] = normalizeLayout({ ...layout, name });
+  }
+  return out;
+}
+
+export function activeLayoutName() {
+  const { active } = read();
+  return active in loadLayouts() ? active : DEFAULT_LAYOUT.name;
+}
+
+export function setActiveLayout(name) {
+  const data = read();
+  data.active = name;
+  write(data);
+}
+
+export function saveLayout(layout) {
+  const clean = normalizeLayout(layout);
+  if (clean.name === DEFAULT_LAYOUT.name) throw new Error(`"${DEFAULT_LAYOUT.name}" is built in; pick another name`);
+  const data = read();
+  data.saved[clean.name] = clean;
+  write(data);
+  return loadLayouts();
+}
+
+export function deleteLayout(name) {
+  const data = read();
+  delete data.saved[name];
+  if (data.active === name) data.active = DEFAULT_LAYOUT.name;
+  write(data);
+  return loadLayouts();
+}
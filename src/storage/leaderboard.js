@@ -0,0 +1,157 @@
+// Player profiles and the local leaderboard (localStorage)
+// - Every browser gets a kiosk id so entries from several kiosks can be merged without clashes
+// - Import merges entries by id and profiles by name, so re-importing the same file is harmless
+// - Scores changed scale with the continuous score (v2). Entries from before that keep their number as
+//   legacyScore (scoreVersion 1) and are only ever ranked against each other
+
+const KEY = "puckHerding.leaderboard.v2";
+const LEGACY_KEY = "puckHerding.leaderboard.v1";
+const FILE_FORMAT = "puck-herding-leaderboard";
+const FILE_VERSION = 2;
+const SCORE_VERSION = 2;
+const MAX_ENTRIES = 2000;
+
+// An entry from a v1 board or export: its score is on the old scale
+function legacyEntry(e) {
+  if (e.scoreVersion === SCORE_VERSION) return e;
+  const { score, ...rest } = e;
+  return { ...rest, scoreVersion: 1, legacyScore: Number(e.legacyScore ?? score) || 0 };
+}
+
+export const isLegacyEntry = (e) => e.scoreVersion !== SCORE_VERSION;
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+function read() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    const legacy = raw ? null : localStorage.getItem(LEGACY_KEY); // first load since v2: carry the v1 board over
+    const data = raw ? JSON.parse(raw) : legacy ? JSON.parse(legacy) : {};
+    const entries = Array.isArray(data.entries) ? data.entries : [];
+    return {
+      kioskId: data.kioskId ?? newId("kiosk"),
+      profiles: Array.isArray(data.profiles) ? data.profiles : [],
+      activeProfileId: data.activeProfileId ?? null,
+      entries: raw ? entries : entries.map(legacyEntry),
+    };
+  } catch {
+    return { kioskId: newId("kiosk"), profiles: [], activeProfileId: null, entries: [] };
+  }
+}
+
+function write(data) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(data));
+  } catch {
+    // Storage full or disabled: the board lasts until reload
+  }
+  return data;
+}
+
+export function loadLeaderboard() {
+  const data = read();
+  return write(data); // persists a freshly minted kiosk id
+}
+
+export function createProfile(name) {
+  const data = read();
+  const clean = String(name).trim().slice(0, 40);
+  if (!clean) throw new Error("Enter a name");
+  const existing = data.profiles.find((p) => p.name.toLowerCase() === clean.toLowerCase());
+  const profile = existing ?? { id: newId("player"), name: clean, createdAt: new Date().toISOString() };
+  if (!existing) data.profiles.push(profile);
+  data.activeProfileId = profile.id;
+  return write(data);
+}
+
+export function selectProfile(id) {
+  const data = read();
+  data.activeProfileId = data.profiles.some((p) => p.id === id) ? id : null;
+  return write(data);
+}
+
+// entry: { holdSeconds, score, seed, preset, layout, mode, duration }
+export function addEntry(entry) {
+  const data = read();
+  const profile = data.profiles.find((p) => p.id === data.activeProfileId);
+  if (!profile) return data;
+  data.entries.push({
+    id: `${data.kioskId}-${Date.now().toString(36)}`,
+    profileId: profile.id,
+    player: profile.name,
+    date: new Date().toISOString(),
+    kioskId: data.kioskId,
+    ...entry,
+    scoreVersion: SCORE_VERSION,
+  });
+  if (data.entries.length > MAX_ENTRIES) data.entries = data.entries.slice(-MAX_ENTRIES);
+  return write(data);
+}
+
+export function bestHoldFor(data, profileId) {
+  return data.entries.filter((e) => e.profileId === profileId).reduce((best, e) => Math.max(best, e.holdSeconds), 0);
+}
+
+// filter: { preset, mode, from, to, legacy } (from/to are YYYY-MM-DD, inclusive); sorted by score, then hold
+// Entries from before modes existed count as Endless. legacy: the old-scale entries instead of the current ones
+export function filterEntries(data, { preset = "", mode = "", from = "", to = "", legacy = false } = {}) {
+  const score = (e) => (legacy ? e.legacyScore : e.score);
+  return data.entries
+    .filter((e) => isLegacyEntry(e) === legacy)
+    .filter((e) => !preset || e.preset === preset)
+    .filter((e) => !mode || (e.mode ?? "Endless") === mode)
+    .filter((e) => !from || e.date.slice(0, 10) >= from)
+    .filter((e) => !to || e.date.slice(0, 10) <= to)
+    .sort((a, b) => score(b) - score(a) || b.holdSeconds - a.holdSeconds);
+}
+
+export function leaderboardToJson(data) {
+  const { profiles, entries } = data;
+  return JSON.stringify(
+    { format: FILE_FORMAT, version: FILE_VERSION, exportedAt: new Date().toISOString(), profiles, entries },
+    null,
+    2,
+  );
+}
+
+// Returns { data, added } after merging another kiosk's export
+export function importLeaderboard(text) {
+  let incoming;
+  try {
+    incoming = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (incoming?.format !== FILE_FORMAT || !Array.isArray(incoming.entries)) {
+    throw new Error("Not a puck herding leaderboard export");
+  }
+  if (incoming.version > FILE_VERSION) throw new Error("Exported by a newer version of the game");
+  const oldScale = (incoming.version ?? 1) < 2; // every score in a v1 file is on the old scale
+
+  const data = read();
+  const profileIdMap = {};
+  for (const p of incoming.profiles ?? []) {
+    if (!p?.id || !p?.name) continue;
+    const same = data.profiles.find((q) => q.id === p.id || q.name.toLowerCase() === String(p.name).toLowerCase());
+    if (same) {
+      profileIdMap[p.id] = same.id;
+    } else {
+      data.profiles.push({ id: p.id, name: String(p.name).slice(0, 40), createdAt: p.createdAt ?? null });
+      profileIdMap[p.id] = p.id;
+    }
+  }
+
+  const known = new Set(data.entries.map((e) => e.id));
+  let added = 0;
+  for (const e of incoming.entries) {
+    if (!e?.id || known.has(e.id) || typeof e.holdSeconds !== "number" || typeof e.date !== "string") continue;
+    const entry = { ...e, profileId: profileIdMap[e.profileId] ?? e.profileId };
+    if (oldScale || isLegacyEntry(e)) data.entries.push(legacyEntry({ ...entry, scoreVersion: 1 }));
+    else data.entries.push({ ...entry, score: Number(e.score) || 0 });
+    known.add(e.id);
+    added += 1;
+  }
+  data.entries.sort((a, b) => a.date.localeCompare(b.date));
+  if (data.entries.length > MAX_ENTRIES) data.entries = data.entries.slice(-MAX_ENTRIES);
+  return { data: write(data), added };
+}
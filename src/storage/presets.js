@@ -0,0 +1,85 @@
+// Difficulty presets in localStorage
+// - Built-ins come from the engine; custom presets are saved per browser
+// - "last" remembers the settings in use so a reload keeps the team's profile
+
+import { BUILTIN_PRESETS, validateConfig } from "../engine/config";
+
+const KEY = "puckHerding.presets.v1";
+const FILE_FORMAT = "puck-herding-preset";
+
+function read() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return { custom: data?.custom ?? {}, last: data?.last ?? null };
+  } catch {
+    return { custom: {}, last: null };
+  }
+}
+
+function write(data) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(data));
+  } catch {
+    // Storage full or disabled: presets just won't persist
+  }
+}
+
+// { [name]: cfg } with built-ins first; custom names never shadow a built-in
+export function loadPresets() {
+  const { custom } = read();
+  const out = { ...BUILTIN_PRESETS };
+  for (const [name, cfg] of Object.entries(custom)) {
+    if (!(name in BUILTIN_PRESETS)) out[name] = validateConfig(cfg).cfg;
+  }
+  return out;
+}
+
+export const isBuiltinPreset = (name) => name in BUILTIN_PRESETS;
+
+export function savePreset(name, cfg) {
+  const data = read();
+  data.custom[name] = { ...cfg };
+  write(data);
+  return loadPresets();
+}
+
+export function deletePreset(name) {
+  const data = read();
+  delete data.custom[name];
+  write(data);
+  return loadPresets();
+}
+
+// { name, cfg } | null
+export function loadLastSettings() {
+  const { last } = read();
+  if (!last?.cfg) return null;
+  return { name: last.name ?? null, cfg: validateConfig(last.cfg).cfg };
+}
+
+export function saveLastSettings(name, cfg) {
+  const data = read();
+  data.last = { name, cfg: { ...cfg } };
+  write(data);
+}
+
+export function presetToJson(name, cfg) {
+  return JSON.stringify({ format: FILE_FORMAT, version: 1, name, cfg }, null, 2);
+}
+
+// Throws with a readable message when the file isn't a preset
+export function presetFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (data?.format !== FILE_FORMAT || typeof data.cfg !== "object") {
+    throw new Error("Not a puck herding preset");
+  }
+  const { cfg, errors } = validateConfig(data.cfg);
+  const name = String(data.name || "Imported").slice(0, 40);
+  return { name, cfg, errors };
+}
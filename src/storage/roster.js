@@ -0,0 +1,25 @@
+// Imported roster in localStorage (used for every round until cleared)
+
+import { normalizeRoster } from "../engine/roster";
+
+const KEY = "puckHerding.roster.v1";
+
+export function loadRoster() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    if (!raw) return null;
+    const { roster } = normalizeRoster(JSON.parse(raw));
+    return roster.length ? roster : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveRoster(roster) {
+  try {
+    if (roster) localStorage.setItem(KEY, JSON.stringify(roster));
+    else localStorage.removeItem(KEY);
+  } catch {
+    // Storage full or disabled: the roster lasts until reload
+  }
+}
@@ -0,0 +1,62 @@
+// Saved runs in localStorage
+// - "recent" keeps the last few rounds for replay
+// - "best" keeps the personal-best run per seed (drawn as the ghost)
+// - Runs recorded by an older engine are dropped: they would no longer replay identically
+
+import { ENGINE_VERSION } from "../engine/simulation";
+
+const KEY = "puckHerding.runs.v2";
+const MAX_RECENT = 5;
+const MAX_BEST = 10;
+
+function read() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    const compatible = (r) => r.engineVersion === ENGINE_VERSION;
+    const best = Object.fromEntries(Object.entries(data?.best ?? {}).filter(([, r]) => compatible(r)));
+    return { recent: (data?.recent ?? []).filter(compatible), best };
+  } catch {
+    return { recent: [], best: {} };
+  }
+}
+
+function write(data) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(data));
+    return true;
+  } catch {
+    // Quota exceeded: drop the oldest recent run and try once more
+    if (data.recent.length > 1) {
+      return write({ ...data, recent: data.recent.slice(0, -1) });
+    }
+    return false;
+  }
+}
+
+export function loadRuns() {
+  return read();
+}
+
+// Returns the updated store
+export function saveRun(recording) {
+  const data = read();
+  data.recent = [recording, ...data.recent.filter((r) => r.id !== recording.id)].slice(0, MAX_RECENT);
+
+  const prevBest = data.best[recording.seed];
+  if (!prevBest || recording.holdSeconds > prevBest.holdSeconds) {
+    data.best[recording.seed] = recording;
+    const seeds = Object.keys(data.best);
+    if (seeds.length > MAX_BEST) {
+      const oldest = seeds.sort((a, b) => data.best[a].createdAt.localeCompare(data.best[b].createdAt))[0];
+      delete data.best[oldest];
+    }
+  }
+
+  write(data);
+  return data;
+}
+
+export function bestRunForSeed(seed) {
+  return read().best[seed] ?? null;
+}
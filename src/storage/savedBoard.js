@@ -0,0 +1,35 @@
+// The autosaved in-progress board (one slot, localStorage)
+// - Saves that can no longer be migrated are dropped on load instead of breaking startup
+
+import { createSnapshot, migrateSnapshot } from "../engine/snapshot";
+
+const KEY = "puckHerding.savedBoard";
+
+export function loadSavedBoard() {
+  try {
+    const raw = localStorage.getItem(KEY);
+    return raw ? migrateSnapshot(JSON.parse(raw)) : null;
+  } catch {
+    clearSavedBoard();
+    return null;
+  }
+}
+
+// extras.recorder is optional: when the round's recording no longer fits, the board is saved without it
+export function saveBoard(state, extras) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(createSnapshot(state, extras)));
+    return true;
+  } catch {
+    if (!extras?.recorder) return false;
+    return saveBoard(state, { ...extras, recorder: null });
+  }
+}
+
+export function clearSavedBoard() {
+  try {
+    localStorage.removeItem(KEY);
+  } catch {
+    // Storage disabled: nothing was saved either
+  }
+}
@@ -0,0 +1,57 @@
+// Session summary exports for the weekly review (CSV per puck, CSV per zone, or everything as JSON), and the
+// position heatmap grid as JSON
+
+import { toCsv } from "./csv";
+
+const secs = (v) => v.toFixed(1);
+
+export function pucksCsv(summary) {
+  const zoneCols = summary.zones.flatMap((z) => [`${z.text} (s)`, `${z.text} entries`]);
+  const header = [
+    "Name",
+    "Category",
+    "Role",
+    "Target (s)",
+    "Improvement (s)",
+    "Between (s)",
+    ...zoneCols,
+    "Stick touches",
+    "Done after (s)",
+  ];
+  const rows = summary.pucks.map((r) => [
+    r.name,
+    r.category,
+    r.role ?? "",
+    secs(r.targetTime),
+    secs(r.improveTime),
+    secs(r.betweenTime),
+    ...summary.zones.flatMap((z) => [secs(r.negTime[z.id]), r.negEntries[z.id]]),
+    r.touches,
+    r.completedAfter == null ? "" : secs(r.completedAfter),
+  ]);
+  return toCsv(header, rows);
+}
+
+export function zonesCsv(summary) {
+  const points = (id) => {
+    const row = summary.score.rows.find((r) => r.id === id);
+    return row ? Math.round(row.points) : "";
+  };
+  const rows = [
+    ...summary.zones.map((z) => [z.text, "negative", secs(z.time), z.entries, points(z.id)]),
+    ["Improvement band", "improve", secs(summary.bands.improve), "", points("improve")],
+    ["Between bands", "between", secs(summary.bands.between), "", ""],
+    ["Target", "target", secs(summary.bands.target), "", points("target")],
+    ["Streak bonuses", "bonus", "", "", points("streaks")],
+  ];
+  return toCsv(["Zone", "Kind", "Puck-seconds", "Entries", "Points"], rows);
+}
+
+export function summaryJson(summary, meta) {
+  return JSON.stringify({ ...meta, ...summary }, null, 2);
+}
+
+// grid: heatmapGrid() from engine/heatmap; meta: which round and preset it came from
+export function heatmapJson(grid, meta) {
+  return JSON.stringify({ ...meta, ...grid });
+}